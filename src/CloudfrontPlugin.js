@@ -1,8 +1,33 @@
 'use strict';
 
-const AWS = require('aws-sdk');
+const AWS  = require('aws-sdk');
+const fs   = require('fs');
+const path = require('path');
 
-const CloudfrontConnector = require('./lib/connectors/CloudfrontConnector');
+const CloudformationConnector = require('./lib/connectors/CloudformationConnector');
+const CloudfrontConnector     = require('./lib/connectors/CloudfrontConnector');
+const S3Connector             = require('./lib/connectors/S3Connector');
+const ConfigValidator         = require('./lib/ConfigValidator');
+const DistributionDiff        = require('./lib/DistributionDiff');
+const DistributionInfo        = require('./lib/DistributionInfo');
+const EdgeInvoker             = require('./lib/EdgeInvoker');
+const EdgeValidator           = require('./lib/EdgeValidator');
+const SnapshotStore           = require('./lib/SnapshotStore');
+const CONFIG_SCHEMA           = require('./lib/ConfigSchema');
+
+// Default settings to wait for the distributions to deploy, in seconds
+const DEFAULT_WAIT_TIMEOUT  = 1800;
+const DEFAULT_WAIT_INTERVAL = 30;
+
+// Ways to find a distribution when its ID is not configured
+const DISTRIBUTION_LOOKUP_TYPES = [ 'alias', 'tag', 'output', 'export' ];
+
+// Default settings to retry the distribution updates, with the delay in seconds
+const DEFAULT_RETRY_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY    = 1;
+
+// Name of the session when assuming the configured role
+const ROLE_SESSION_NAME = 'serverless-cloudfront-plugin';
 
 class CloudfrontPlugin 
 {
@@ -18,13 +43,205 @@ class CloudfrontPlugin
                 lifecycleEvents: [
                     'deploy'
                 ],
-                options: {}   
+                options: {
+                    distribution: {
+                        usage: 'Only deploy to the given distribution ID',
+                        type : 'string'
+                    },
+                    behavior: {
+                        usage: 'Only update the given cache behavior (path pattern or DefaultCacheBehavior)',
+                        type : 'string'
+                    },
+                    function: {
+                        usage: 'Only push the given function, keeping the other associations as they are',
+                        type : 'string'
+                    },
+                    'dry-run': {
+                        usage: 'Prints the changes to the distributions without updating them',
+                        type : 'boolean'
+                    },
+                    wait: {
+                        usage: 'Waits for the distributions to finish deploying',
+                        type : 'boolean'
+                    }
+                }
+            },
+            'cloudfront-rollback': {
+                usage: 'Restores the edge functions saved in the last snapshot of the CloudFront distributions',
+                lifecycleEvents: [
+                    'rollback'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only roll back the given distribution ID',
+                        type : 'string'
+                    },
+                    timestamp: {
+                        usage: 'Restores the newest snapshot whose timestamp starts with the given value',
+                        type : 'string'
+                    }
+                }
+            },
+            'cloudfront-plan': {
+                usage: 'Prints the changes that would be deployed to the CloudFront distributions',
+                lifecycleEvents: [
+                    'plan'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only plan the given distribution ID',
+                        type : 'string'
+                    },
+                    behavior: {
+                        usage: 'Only plan the given cache behavior (path pattern or DefaultCacheBehavior)',
+                        type : 'string'
+                    },
+                    function: {
+                        usage: 'Only plan the given function, keeping the other associations as they are',
+                        type : 'string'
+                    }
+                }
+            },
+            'cloudfront-promote': {
+                usage: 'Copies the staging distributions of a staged release onto their primary distributions',
+                lifecycleEvents: [
+                    'promote'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only promote the staging distribution of the given distribution ID',
+                        type : 'string'
+                    },
+                    wait: {
+                        usage: 'Waits for the distributions to finish deploying',
+                        type : 'boolean'
+                    }
+                }
+            },
+            'cloudfront-abort': {
+                usage: 'Stops sending traffic to the staging distributions of a staged release',
+                lifecycleEvents: [
+                    'abort'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only abort the staged release of the given distribution ID',
+                        type : 'string'
+                    }
+                }
+            },
+            'cloudfront-check': {
+                usage: 'Checks the CloudFront distributions match the configuration, failing if they drifted',
+                lifecycleEvents: [
+                    'check'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only check the given distribution ID',
+                        type : 'string'
+                    }
+                }
+            },
+            'cloudfront-prune': {
+                usage: 'Deletes the old versions of the edge functions that no CloudFront distribution uses',
+                lifecycleEvents: [
+                    'prune'
+                ],
+                options: {
+                    keep: {
+                        usage: 'Number of newest versions to keep, even if they are not used',
+                        type : 'string'
+                    },
+                    function: {
+                        usage: 'Only prune the given function',
+                        type : 'string'
+                    },
+                    'dry-run': {
+                        usage: 'Prints the versions to delete without deleting them',
+                        type : 'boolean'
+                    }
+                }
+            },
+            'cloudfront-invoke': {
+                usage: 'Runs the edge functions of a path locally, with the events CloudFront would send them',
+                lifecycleEvents: [
+                    'invoke'
+                ],
+                options: {
+                    path: {
+                        usage: 'Path of the request, with the query string if any',
+                        type : 'string'
+                    },
+                    event: {
+                        usage: 'Event type to run, viewerRequest (default), originRequest, originResponse or viewerResponse',
+                        type : 'string'
+                    },
+                    chain: {
+                        usage: 'Also runs the events after the given one, with a stub origin',
+                        type : 'boolean'
+                    },
+                    method: {
+                        usage: 'HTTP method of the request, GET by default',
+                        type : 'string'
+                    },
+                    headers: {
+                        usage: 'Headers of the request as a JSON object, such as {"cookie":"session=1"}',
+                        type : 'string'
+                    },
+                    body: {
+                        usage: 'Body of the request',
+                        type : 'string'
+                    },
+                    distribution: {
+                        usage: 'Distribution ID to use when several are configured',
+                        type : 'string'
+                    },
+                    cache: {
+                        usage: 'File to read the distribution from, saving it there the first time',
+                        type : 'string'
+                    }
+                }
+            },
+            'cloudfront-info': {
+                usage: 'Shows the edge functions running on each cache behavior of the CloudFront distributions',
+                lifecycleEvents: [
+                    'info'
+                ],
+                options: {
+                    distribution: {
+                        usage: 'Only show the given distribution ID',
+                        type : 'string'
+                    },
+                    format: {
+                        usage: 'Output format, table (default) or json',
+                        type : 'string'
+                    }
+                }
             },
         };
 
         this.hooks = {
-            'after:deploy:finalize': this.deployFunctions.bind( this ),
+            'after:deploy:finalize'       : this.deployFunctions.bind( this ),
+            'before:remove:remove'        : this.removeFunctions.bind( this ),
+            'deploy-distribution:deploy'  : this.deployFunctions.bind( this ),
+            'cloudfront-plan:plan'        : this.planFunctions.bind( this ),
+            'cloudfront-rollback:rollback': this.rollbackDistributions.bind( this ),
+            'cloudfront-promote:promote'  : this.promoteStaging.bind( this ),
+            'cloudfront-abort:abort'      : this.abortStaging.bind( this ),
+            'cloudfront-check:check'      : this.checkDistributions.bind( this ),
+            'cloudfront-prune:prune'      : this.pruneVersions.bind( this ),
+            'cloudfront-invoke:invoke'    : this.invokeFunctions.bind( this ),
+            'cloudfront-info:info'        : this.showInfo.bind( this ),
         };
+
+        // Older Serverless versions can't validate the configuration of the plugins
+        if ( this.serverless.configSchemaHandler )
+        {
+            this.serverless.configSchemaHandler.defineCustomProperties( {
+                type: 'object',
+                properties: { cloudfront: CONFIG_SCHEMA }
+            } );
+        }
     }
 
     /**
@@ -34,8 +251,17 @@ class CloudfrontPlugin
     {
         if ( 'cloudfront' in this.custom )
         {
-            if ( !( 'distributionId' in this.custom.cloudfront ) 
-                || !( 'behaviors' in this.custom.cloudfront ) ) 
+            const errors = new ConfigValidator().validate( this.custom.cloudfront, CONFIG_SCHEMA );
+
+            if ( errors.length )
+            {
+                throw Error( `${this.constructor.name}: Found ${errors.length} problem(s) in custom.cloudfront:\n  - ${errors.join( '\n  - ' )}` );
+            }
+
+            const hasSingleDistribution = ( 'distributionId' in this.custom.cloudfront || 'distribution' in this.custom.cloudfront )
+                && 'behaviors' in this.custom.cloudfront;
+
+            if ( !hasSingleDistribution && !( 'distributions' in this.custom.cloudfront ) ) 
             {
                 throw Error( `${this.constructor.name}: Missing one or more configuration values.` );
             }
@@ -47,128 +273,1716 @@ class CloudfrontPlugin
             throw Error( `${this.constructor.name}: This plugin only supports the aws provider.` );
         }
 
-        this.config = this.custom.cloudfront;
+        this.config        = this.custom.cloudfront;
+        this.distributions = this.getDistributionsConfiguration( this.config );
     }
 
     /**
-     * Deploy all the functions to the CloudFront Distribution
+     * Gets the list of distributions to deploy to, either from the single distribution 
+     * configuration or from the distributions list
+     * @param  {Object} config
+     * @return {Array}
      */
-    async deployFunctions()
+    getDistributionsConfiguration( config )
     {
-        const cloudfrontConnector = new CloudfrontConnector();
+        if ( config === undefined )
+        {
+            return [];
+        }
 
-        this.getConfiguration();
+        if ( !( 'distributions' in config ) )
+        {
+            return [ { id: config.distributionId, lookup: config.distribution, behaviors: config.behaviors, mode: config.mode } ];
+        }
 
-        if ( this.config === undefined 
-            || Object.keys( this.config ).length == 0 
-            || !this.config.distributionId
-            || !this.config.behaviors
-            || this.config.behaviors.length == 0 )
+        if ( !Array.isArray( config.distributions ) )
         {
-            this.serverless.cli.log( `${this.constructor.name}: No configuration found. Continuing without any changes.` )
-            return;
+            throw Error( `${this.constructor.name}: The distributions configuration must be a list.` );
         }
 
-        this.serverless.cli.log( `${this.constructor.name}: Starting...` )
+        return config.distributions.map( ( distribution, index ) =>
+        {
+            if ( !( 'id' in distribution || 'distribution' in distribution ) || !( 'behaviors' in distribution ) )
+            {
+                throw Error( `${this.constructor.name}: Missing one or more configuration values in distribution ${index}.` );
+            }
+
+            return { id: distribution.id, lookup: distribution.distribution, behaviors: distribution.behaviors, 
+                mode: distribution.mode || config.mode };
+        } );
+    }
 
-        // Get the functions
-        const functionNames   = this.serverless.service.getAllFunctions();
-        const lambdaFunctions = await this.getLambdaFunctions( functionNames );
+    /**
+     * Finds the IDs of the distributions configured by alias, tag, stack output or export. A lookup that fails 
+     * doesn't stop the others: its distribution gets the error, and the lookup as its ID to report it
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Array} distributions
+     * @return {Array}
+     */
+    async resolveDistributions( cloudfrontConnector, distributions )
+    {
+        let resolvedDistributions = [];
 
-        // Get the CF Distribution configuration
-        this.serverless.cli.log(`Deploying lambda functions to CF Distribution: ${this.config.distributionId}`);
+        for ( let distribution of distributions )
+        {
+            if ( distribution.id )
+            {
+                resolvedDistributions.push( distribution );
+                continue;
+            }
+
+            const lookupDescription = JSON.stringify( distribution.lookup );
+
+            try
+            {
+                const distributionId = await this.resolveDistributionId( cloudfrontConnector, distribution.lookup );
 
-        let distribution = await cloudfrontConnector.getDistribution( this.config.distributionId );
-        distribution.Distribution.DistributionConfig = cloudfrontConnector.addNewConfigToDistribution( 
-            distribution.Distribution.DistributionConfig, lambdaFunctions, this.config.behaviors );
+                this.log( `Found CF Distribution ${distributionId} by ${lookupDescription}` );
 
-        // Update the CF Distribution with the new versions
-        await cloudfrontConnector.updateDistributionConfig( distribution );
+                resolvedDistributions.push( Object.assign( {}, distribution, { id: distributionId } ) );
+            }
+            catch ( err )
+            {
+                resolvedDistributions.push( Object.assign( {}, distribution, { id: lookupDescription, error: err } ) );
+            }
+        }
 
-        this.serverless.cli.log( `${this.constructor.name}: Finished process correctly.` )
+        return resolvedDistributions;
     }
 
     /**
-     * Gets all the passed functions versions
-     * @param  {Array} functionNames
-     * @return {Object}
+     * Finds the ID of a distribution by its alias, tag, or a CloudFormation stack output or export
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Object} lookup
+     * @return {String}
      */
-    async getLambdaFunctions( functionNames )
+    async resolveDistributionId( cloudfrontConnector, lookup )
     {
-        let functions = {};
+        const lookupTypes = Object.keys( lookup || {} ).filter( type => DISTRIBUTION_LOOKUP_TYPES.indexOf( type ) !== -1 );
 
-        // Get version for each function
-        for ( let index in functionNames )
+        if ( lookupTypes.length != 1 )
+        {
+            throw Error( `${this.constructor.name}: The distribution must be looked up by one of: `
+                + `${DISTRIBUTION_LOOKUP_TYPES.join( ', ' )}.` );
+        }
+
+        if ( lookup.alias )
         {
-            this.serverless.cli.log( `Getting version for: ${functionNames[ index ]}` );
+            return cloudfrontConnector.findDistributionIdByAlias( lookup.alias );
+        }
 
-            const lambdaFunction = this.serverless.service.getFunction( functionNames[ index ] );
-            functions[ functionNames[ index ] ] = await this.getLatestVersion( lambdaFunction.name );
+        if ( lookup.tag )
+        {
+            return cloudfrontConnector.findDistributionIdByTag( lookup.tag.key, lookup.tag.value );
         }
 
-        return functions;
+        const provider                = this.serverless.getProvider( 'aws' );
+        const cloudformationConnector = new CloudformationConnector( this.getAwsOptions() );
+
+        if ( lookup.export )
+        {
+            return cloudformationConnector.getExportValue( lookup.export );
+        }
+
+        // The outputs are read from the service stack unless another one is passed
+        const stackName = lookup.output.stack || provider.naming.getStackName();
+        const outputs   = await cloudformationConnector.getStackOutputs( stackName );
+
+        if ( !outputs[ lookup.output.name ] )
+        {
+            throw Error( `${this.constructor.name}: The stack ${stackName} has no output ${lookup.output.name}.` );
+        }
+
+        return outputs[ lookup.output.name ];
     }
 
     /**
-     * Gets the function latest/newest version number
-     * @param  {String} functionName
-     * @param  {String} paginationMarker
-     * @return {Promise|Object}
+     * Deploy all the functions to the CloudFront Distributions
      */
-    getLatestVersion( functionName, paginationMarker )
+    async deployFunctions()
     {
-        const Lambda = this.getLambda();
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( true );
 
-        return new Promise( ( resolve, reject ) => 
+        if ( distributions.length == 0 )
         {
-            const params = {
-                FunctionName: functionName,
-                // This method paginates just up to 50 versions, even when the documentation says 10000
-                MaxItems: 50
-            };
+            return;
+        }
 
-            // If a pagination marker was passed to the function, include it to get the next page
-            if ( paginationMarker )
+        this.log( `${this.constructor.name}: Starting...` )
+
+        const foundDistributions = distributions.filter( distribution => !distribution.error );
+
+        // Get the functions, only once for all the distributions
+        const functionNames   = this.filterFunctions( this.serverless.service.getAllFunctions() );
+        const lambdaFunctions = Object.assign( await this.getLambdaFunctions( functionNames ), 
+            await this.getPinnedVersions( cloudfrontConnector, foundDistributions, functionNames ) );
+
+        // Check everything before touching any distribution
+        this.validateFunctions( foundDistributions, lambdaFunctions );
+
+        const cloudfrontFunctions = await this.deployCloudfrontFunctions( cloudfrontConnector );
+
+        await this.updateDistributions( cloudfrontConnector, distributions, async distribution => 
+        {
+            const behaviors = this.filterBehaviors( distribution.behaviors );
+
+            if ( Object.keys( behaviors ).length == 0 )
             {
-                params.Marker = paginationMarker;
+                return { skipped: true };
             }
 
-            Lambda.listVersionsByFunction( params, ( err, data ) =>
+            return this.deployDistribution( cloudfrontConnector, Object.assign( {}, distribution, { behaviors } ), 
+                lambdaFunctions, cloudfrontFunctions );
+        } );
+    }
+
+    /**
+     * Gets the configured distributions the command runs on, resolving the ones looked up 
+     * and keeping the one passed with --distribution
+     * @async
+     * @param  {Boolean} withBehaviors Only the distributions with behaviors configured
+     * @return {Object}  The CloudFront connector and the distributions, none if nothing is configured
+     */
+    async getCommandDistributions( withBehaviors )
+    {
+        this.getConfiguration();
+
+        const cloudfrontConnector = this.getCloudfrontConnector();
+
+        const configuredDistributions = this.distributions.filter( distribution => ( distribution.id || distribution.lookup ) 
+            && ( !withBehaviors || distribution.behaviors && Object.keys( distribution.behaviors ).length > 0 ) );
+
+        if ( configuredDistributions.length == 0 )
+        {
+            this.log( `${this.constructor.name}: No configuration found. Continuing without any changes.` )
+            return { cloudfrontConnector, distributions: [] };
+        }
+
+        const distributions = this.filterDistributions( await this.resolveDistributions( cloudfrontConnector, configuredDistributions ) );
+
+        return { cloudfrontConnector, distributions };
+    }
+
+    /**
+     * Runs an action on every distribution, then waits for the deployments and reports the results.
+     * A failing distribution, including one that couldn't be found, doesn't prevent the others from being updated
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Array}    distributions
+     * @param  {Function} applyAction Receives the distribution, resolves with its changes and deployment, or skipped
+     */
+    async updateDistributions( cloudfrontConnector, distributions, applyAction )
+    {
+        let results = [];
+
+        for ( let distribution of distributions )
+        {
+            try
             {
-                if ( err ) 
-                {
-                    this.serverless.cli.log( `${this.constructor.name}: Couldn't get function versions: ${JSON.stringify( err )}` );
-                    return reject( err );
-                }
+                this.checkDistributionFound( distribution );
 
-                // This means the versions are paginated
-                if ( data.NextMarker )
-                {
-                    // Recursively call this function but with the pagination marker
-                    return this.getLatestVersion( functionName, data.NextMarker )
-                    .then( lastestVersion =>
-                    {
-                        resolve( lastestVersion );
-                    } );
-                }
+                const result = await applyAction( distribution );
 
-                let lastVersion = data.Versions.pop();
-                this.serverless.cli.log( `Obtained lambda function latest version: ${lastVersion.Version}` );
-                return resolve( lastVersion );
-            } );
+                results.push( Object.assign( { id: distribution.id }, result ) );
+            }
+            catch ( err )
+            {
+                results.push( { id: distribution.id, error: err } );
+            }
+        }
+
+        await this.completeDeployments( cloudfrontConnector, results );
+
+        this.reportResults( results );
+    }
+
+    /**
+     * Prints the changes to all the CloudFront Distributions without updating them
+     */
+    async planFunctions()
+    {
+        this.options[ 'dry-run' ] = true;
+
+        await this.deployFunctions();
+    }
+
+    /**
+     * Compares the CloudFront Distributions with what the configuration would deploy, failing if anything differs
+     */
+    async checkDistributions()
+    {
+        this.options[ 'dry-run' ] = true;
+        this.options.check        = true;
+
+        await this.deployFunctions();
+    }
+
+    /**
+     * Deploys the functions to a single CloudFront Distribution
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Object} distributionSettings Distribution ID, behaviors and update mode from the configuration
+     * @param  {Object} lambdaFunctions
+     * @param  {Object} cloudfrontFunctions
+     * @return {Object}
+     */
+    async deployDistribution( cloudfrontConnector, distributionSettings, lambdaFunctions, cloudfrontFunctions )
+    {
+        // In a staged release the changes go to the staging distribution, which only gets traffic once updated
+        const staging = this.config.staging 
+            ? await this.getStagingDistribution( cloudfrontConnector, distributionSettings.id ) : undefined;
+
+        const distributionId = staging ? staging.id : distributionSettings.id;
+
+        // Get the CF Distribution configuration
+        this.log(`Deploying lambda functions to CF Distribution: ${distributionId}`);
+
+        const behaviors = await cloudfrontConnector.resolvePolicyIds( distributionSettings.behaviors );
+
+        const result = await this.updateDistribution( cloudfrontConnector, distributionId, distributionConfig => 
+            cloudfrontConnector.addNewConfigToDistribution( distributionConfig, lambdaFunctions, behaviors, 
+                distributionSettings.mode, cloudfrontFunctions ), 
+            true );
+
+        if ( staging && staging.policyId && !this.options[ 'dry-run' ] )
+        {
+            await cloudfrontConnector.updateContinuousDeploymentPolicy( staging.policyId, 
+                cloudfrontConnector.getTrafficConfig( this.config.staging ), true );
+
+            this.log( `Sending ${this.describeStagingTraffic()} to the staging distribution ${staging.id} `
+                + `of ${distributionSettings.id}` );
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets the staging distribution of a primary distribution, creating it unless it's a dry run
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {String} primaryDistributionId
+     * @return {Object} IDs of the staging distribution and its policy, or the primary ID when planning without one
+     */
+    async getStagingDistribution( cloudfrontConnector, primaryDistributionId )
+    {
+        // Checked before anything is created
+        const trafficConfig = cloudfrontConnector.getTrafficConfig( this.config.staging );
+
+        const primaryDistribution = await cloudfrontConnector.getDistribution( primaryDistributionId );
+        const staging             = await cloudfrontConnector.findStagingDistribution( primaryDistribution );
+
+        if ( staging )
+        {
+            this.log( `Using the staging distribution ${staging.id} of ${primaryDistributionId}` );
+            return staging;
+        }
+
+        if ( this.options[ 'dry-run' ] )
+        {
+            this.log( `${primaryDistributionId} has no staging distribution yet, `
+                + 'the changes are compared with the primary one' );
+            return { id: primaryDistributionId };
+        }
+
+        this.log( `Creating a staging distribution for ${primaryDistributionId}` );
+
+        return cloudfrontConnector.createStagingDistribution( primaryDistributionId, trafficConfig );
+    }
+
+    /**
+     * Describes the viewers that reach the staging distributions
+     * @return {String}
+     */
+    describeStagingTraffic()
+    {
+        const staging = this.config.staging;
+
+        if ( staging.header )
+        {
+            return `the viewers sending ${staging.header.name}: ${staging.header.value}`;
+        }
+
+        return `${Math.round( staging.weight * 1000 ) / 10}% of the viewers`;
+    }
+
+    /**
+     * Copies the configuration of the staging distributions onto the primary ones, and sends all the traffic
+     * back to the primary distributions
+     */
+    async promoteStaging()
+    {
+        await this.updateStagingDistributions( async ( cloudfrontConnector, primaryDistributionId, staging ) =>
+        {
+            this.log( `Promoting the staging distribution ${staging.id} to ${primaryDistributionId}` );
+
+            await cloudfrontConnector.promoteStagingDistribution( primaryDistributionId, staging.id );
+
+            // Both distributions have the same configuration now, the policy is enabled again on the next release
+            await cloudfrontConnector.updateContinuousDeploymentPolicy( staging.policyId, undefined, false );
+
+            return { distributionId: primaryDistributionId };
         } );
     }
 
     /**
-     * Gets an instance of the Lambda AWS class
-     * @return {AWS.Lambda}
+     * Stops sending traffic to the staging distributions, leaving the primary ones as they are
      */
-    getLambda()
+    async abortStaging()
+    {
+        await this.updateStagingDistributions( async ( cloudfrontConnector, primaryDistributionId, staging ) =>
+        {
+            this.log( `Stopping the traffic to the staging distribution ${staging.id} of ${primaryDistributionId}` );
+
+            await cloudfrontConnector.updateContinuousDeploymentPolicy( staging.policyId, undefined, false );
+        } );
+    }
+
+    /**
+     * Runs an action on the staging distribution of every configured distribution, failing for the ones without one
+     * @async
+     * @param  {Function} applyAction Receives the connector, the primary distribution ID and the staging distribution,
+     *                                resolves with the deployment to wait for, if any
+     */
+    async updateStagingDistributions( applyAction )
     {
-        AWS.config.update( {
-            region: this.serverless.service.provider.region
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( false );
+
+        if ( distributions.length == 0 )
+        {
+            return;
+        }
+
+        await this.updateDistributions( cloudfrontConnector, distributions, async distribution => 
+        {
+            const primaryDistribution = await cloudfrontConnector.getDistribution( distribution.id );
+            const staging             = await cloudfrontConnector.findStagingDistribution( primaryDistribution );
+
+            if ( !staging )
+            {
+                throw Error( `${this.constructor.name}: ${distribution.id} has no staging distribution.` );
+            }
+
+            return { deployment: await applyAction( cloudfrontConnector, distribution.id, staging ) };
         } );
-        return new AWS.Lambda();
+    }
+
+    /**
+     * Applies changes to a CloudFront Distribution, printing them, and updates it unless it's a dry run.
+     * If the distribution changes in the meantime, the changes are applied again on top of the latest configuration.
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {String}   distributionId
+     * @param  {Function} applyChanges  Receives the current distribution config and returns the new one
+     * @param  {Boolean}  saveSnapshot  Saves the changed behaviors before updating, if snapshots are enabled
+     * @return {Object}   The changes and, unless it's a dry run or nothing changed, the deployment to complete
+     */
+    async updateDistribution( cloudfrontConnector, distributionId, applyChanges, saveSnapshot )
+    {
+        const retrySettings = this.getRetrySettings();
+
+        let changes;
+        let invalidationPaths;
+        let snapshotTimestamp;
+
+        await cloudfrontConnector.updateDistributionWithRetry( distributionId, async distribution => 
+        {
+            // Keep a copy of the current configuration to print the changes
+            const currentConfig = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+
+            distribution.Distribution.DistributionConfig = applyChanges( distribution.Distribution.DistributionConfig );
+
+            const distributionDiff = new DistributionDiff();
+            changes = distributionDiff.diffDistributionConfig( currentConfig, distribution.Distribution.DistributionConfig );
+
+            this.log( this.options.check 
+                ? `Drift for ${distributionId} (live -> configured):\n${distributionDiff.formatDiff( changes )}`
+                : `Changes for ${distributionId}:\n${distributionDiff.formatDiff( changes )}` );
+
+            // Checked before updating, so a wrong setting doesn't leave the distribution updated but not invalidated
+            invalidationPaths = this.getInvalidationPaths( changes );
+
+            // An update without changes would still redeploy the distribution for minutes
+            if ( this.options[ 'dry-run' ] || changes.length == 0 )
+            {
+                return false;
+            }
+
+            // Only the behaviors that existed before the update, and whose associations change, can be restored
+            const behaviorNames = changes.filter( section => section.pathPattern !== undefined && !section.added 
+                && ( section.removed || section.changes.some( change => /^(Lambda)?FunctionAssociations\b/.test( change.path ) ) ) )
+                .map( section => section.name === 'DefaultCacheBehavior' ? section.name : section.pathPattern );
+
+            // On retries the snapshot is overwritten, so it always holds the configuration that gets replaced.
+            // An empty snapshot would hide the previous one from the rollback
+            if ( this.config.snapshots && saveSnapshot && behaviorNames.length )
+            {
+                const snapshotStore = await this.getSnapshotStore();
+                snapshotTimestamp   = await snapshotStore.save( distributionId, 
+                    cloudfrontConnector.createSnapshot( currentConfig, behaviorNames ), snapshotTimestamp );
+
+                this.log( `Saved snapshot ${snapshotTimestamp} for ${distributionId}` );
+            }
+
+            return true;
+        }, retrySettings.attempts, retrySettings.delay );
+
+        if ( this.options[ 'dry-run' ] )
+        {
+            if ( invalidationPaths.length )
+            {
+                this.log( `Paths to invalidate for ${distributionId}: ${invalidationPaths.join( ', ' )}` );
+            }
+
+            return { changes };
+        }
+
+        if ( changes.length == 0 )
+        {
+            return { changes };
+        }
+
+        // The distributions deploy at the same time, they are waited for once all of them are updated
+        return { changes, deployment: { distributionId, invalidationPaths } };
+    }
+
+    /**
+     * Waits for the updated distributions to finish deploying, all at the same time, and invalidates them afterwards.
+     * The distributions to invalidate are always waited for.
+     * The distributions that fail get the error in their result.
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Array} results Results of the distributions, with the deployment of the updated ones
+     */
+    async completeDeployments( cloudfrontConnector, results )
+    {
+        const waitSettings = this.getWaitSettings( this.config.waitForDeployment, this.options.wait );
+
+        await Promise.all( results.filter( result => result.deployment ).map( async result => 
+        {
+            const deployment  = result.deployment;
+            const invalidates = deployment.invalidationPaths && deployment.invalidationPaths.length > 0;
+
+            // Invalidating before every edge runs the new code would let them cache the stale responses again
+            const deploymentWaitSettings = waitSettings || ( invalidates ? this.getWaitSettings( true ) : undefined );
+
+            try
+            {
+                if ( deploymentWaitSettings )
+                {
+                    this.log( `Waiting for ${deployment.distributionId} to finish deploying...` );
+                    await cloudfrontConnector.waitForDeployment( deployment.distributionId, 
+                        deploymentWaitSettings.timeout, deploymentWaitSettings.interval );
+                }
+
+                if ( invalidates )
+                {
+                    await this.invalidateDistribution( cloudfrontConnector, deployment.distributionId, deployment.invalidationPaths );
+                }
+            }
+            catch ( err )
+            {
+                result.error = err;
+            }
+        } ) );
+    }
+
+    /**
+     * Gets the settings to retry the distribution updates
+     * @return {Object}
+     */
+    getRetrySettings()
+    {
+        const settings = this.config.retry || {};
+
+        return {
+            attempts: settings.attempts || DEFAULT_RETRY_ATTEMPTS,
+            delay   : ( settings.delay !== undefined ? settings.delay : DEFAULT_RETRY_DELAY ) * 1000
+        };
+    }
+
+    /**
+     * Restores the last snapshot, or the one passed with --timestamp, to all the CloudFront Distributions
+     */
+    async rollbackDistributions()
+    {
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( false );
+
+        if ( distributions.length == 0 )
+        {
+            return;
+        }
+
+        const snapshotStore = await this.getSnapshotStore();
+
+        await this.updateDistributions( cloudfrontConnector, distributions, async distribution => 
+        {
+            const snapshot = await snapshotStore.load( distribution.id, this.options.timestamp );
+
+            this.log( `Restoring snapshot ${snapshot.timestamp} to CF Distribution: ${distribution.id}` );
+
+            return this.updateDistribution( cloudfrontConnector, distribution.id, distributionConfig => 
+                cloudfrontConnector.restoreSnapshot( distributionConfig, snapshot ) );
+        } );
+    }
+
+    /**
+     * Detaches the functions of this service from the configured behaviors before the stack is removed,
+     * since CloudFormation can't delete the functions a distribution still uses
+     */
+    async removeFunctions()
+    {
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( true );
+
+        if ( distributions.length == 0 )
+        {
+            return;
+        }
+
+        // The associations point to the functions by their name in AWS
+        const functionNames = this.serverless.service.getAllFunctions()
+            .map( functionName => this.serverless.service.getFunction( functionName ).name );
+
+        // The replicas are only released once the distributions are deployed without the functions
+        this.options.wait = true;
+
+        // A staged release associated the functions with the staging distributions too
+        const allDistributions = await this.addStagingDistributions( cloudfrontConnector, distributions );
+
+        await this.updateDistributions( cloudfrontConnector, allDistributions, async distribution => 
+        {
+            this.log( `Detaching the functions from CF Distribution: ${distribution.id}` );
+
+            const result = await this.updateDistribution( cloudfrontConnector, distribution.id, distributionConfig => 
+                cloudfrontConnector.detachLambdaFunctions( distributionConfig, distribution.behaviors, functionNames ) );
+
+            // Nothing is invalidated while the stack is being removed
+            return { changes: result.changes, 
+                deployment: result.deployment && Object.assign( {}, result.deployment, { invalidationPaths: [] } ) };
+        } );
+
+        this.log( `${this.constructor.name}: Lambda@Edge can take a few hours to delete the replicas of the functions. `
+            + 'If the functions fail to be deleted, run the removal again later.' );
+    }
+
+    /**
+     * Adds the staging distribution of each distribution that has one, with the same behaviors
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Array} distributions
+     * @return {Array}
+     */
+    async addStagingDistributions( cloudfrontConnector, distributions )
+    {
+        let allDistributions = [];
+
+        for ( let distribution of distributions )
+        {
+            allDistributions.push( distribution );
+
+            if ( distribution.error )
+            {
+                continue;
+            }
+
+            // A staging distribution that can't be found fails on its own, like a distribution lookup
+            try
+            {
+                const primaryDistribution = await cloudfrontConnector.getDistribution( distribution.id );
+                const staging             = await cloudfrontConnector.findStagingDistribution( primaryDistribution );
+
+                if ( staging )
+                {
+                    allDistributions.push( Object.assign( {}, distribution, { id: staging.id } ) );
+                }
+            }
+            catch ( err )
+            {
+                allDistributions.push( Object.assign( {}, distribution, { id: `staging of ${distribution.id}`, error: err } ) );
+            }
+        }
+
+        return allDistributions;
+    }
+
+    /**
+     * Prints the cache behaviors of the distributions with their forwarded values and edge functions
+     */
+    async showInfo()
+    {
+        const format = this.options.format || 'table';
+
+        if ( [ 'table', 'json' ].indexOf( format ) === -1 )
+        {
+            throw Error( `${this.constructor.name}: The format must be table or json, not ${format}.` );
+        }
+
+        if ( format === 'json' )
+        {
+            return this.runPrintingJson( print => this.printInfo( format, print ) );
+        }
+
+        return this.printInfo( format, output => console.log( output ) );
+    }
+
+    /**
+     * Prints the information of every distribution that can be read, failing afterwards for the others
+     * @async
+     * @param  {String}   format
+     * @param  {Function} print  Prints the output
+     */
+    async printInfo( format, print )
+    {
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( false );
+
+        if ( distributions.length == 0 )
+        {
+            return;
+        }
+
+        // The functions of this service are recognized by their name in AWS
+        let serviceFunctions = {};
+
+        for ( let functionName of this.serverless.service.getAllFunctions() )
+        {
+            serviceFunctions[ functionName ] = this.serverless.service.getFunction( functionName ).name;
+        }
+
+        const distributionInfo = new DistributionInfo( cloudfrontConnector, serviceFunctions );
+
+        let descriptions = [];
+        let failed       = [];
+
+        for ( let distribution of distributions )
+        {
+            // The distributions that can be read are shown anyway
+            try
+            {
+                this.checkDistributionFound( distribution );
+
+                const current = await cloudfrontConnector.getDistribution( distribution.id );
+
+                descriptions.push( distributionInfo.describeDistribution( distribution.id, 
+                    current.Distribution.DistributionConfig, distribution.behaviors ) );
+            }
+            catch ( err )
+            {
+                this.log( `${distribution.id}: Failed: ${err.message}` );
+                failed.push( distribution.id );
+            }
+        }
+
+        print( format === 'json' ? JSON.stringify( descriptions, null, 2 ) : distributionInfo.formatTable( descriptions ) );
+
+        if ( failed.length )
+        {
+            throw Error( `${this.constructor.name}: Couldn't show ${failed.length} distribution(s): ${failed.join( ', ' )}` );
+        }
+    }
+
+    /**
+     * Runs the functions associated with the path locally, failing if their results go over the Lambda@Edge limits
+     * @async
+     */
+    async invokeFunctions()
+    {
+        if ( !this.options.path )
+        {
+            throw Error( `${this.constructor.name}: The path option is required.` );
+        }
+
+        // What the handlers log goes to stderr too
+        await this.runPrintingJson( print => this.invokeHandlers( print ) );
+    }
+
+    /**
+     * Runs the handlers of the events of the path, printing their results
+     * @async
+     * @param  {Function} print Prints the output
+     */
+    async invokeHandlers( print )
+    {
+        const { cloudfrontConnector, distributions } = await this.getCommandDistributions( true );
+
+        if ( distributions.length == 0 )
+        {
+            return;
+        }
+
+        if ( distributions.length > 1 )
+        {
+            throw Error( `${this.constructor.name}: ${distributions.length} distributions are configured, pick one with `
+                + `--distribution: ${distributions.map( distribution => distribution.id ).join( ', ' )}` );
+        }
+
+        this.checkDistributionFound( distributions[0] );
+
+        const distribution = await this.getInvokeDistribution( cloudfrontConnector, distributions[0].id );
+        const edgeInvoker  = new EdgeInvoker( distribution.Distribution );
+
+        const eventTypes    = edgeInvoker.getEventTypes( this.options.event || 'viewerRequest', this.options.chain );
+        const requestPath   = this.options.path.startsWith( '/' ) ? this.options.path : `/${this.options.path}`;
+        const viewerRequest = edgeInvoker.createViewerRequest( this.options.method || 'GET', requestPath,
+            this.getInvokeHeaders(), this.options.body );
+
+        const cacheBehavior = edgeInvoker.findCacheBehavior( viewerRequest.uri );
+        const behaviorName  = cacheBehavior.PathPattern || 'DefaultCacheBehavior';
+        const behaviors     = distributions[0].behaviors;
+
+        const configKey = cacheBehavior.PathPattern === undefined
+            ? ( 'DefaultCacheBehavior' in behaviors ? 'DefaultCacheBehavior' : undefined )
+            : cloudfrontConnector.findBehaviorConfigKey( behaviors, cacheBehavior.PathPattern );
+
+        const lambdaAssociations = configKey !== undefined && behaviors[ configKey ] 
+            && behaviors[ configKey ].lambdaAssociations || {};
+
+        let functions = {};
+
+        for ( let eventType of eventTypes.filter( eventType => eventType in lambdaAssociations ) )
+        {
+            const association = cloudfrontConnector.parseLambdaAssociation( lambdaAssociations[ eventType ] );
+
+            functions[ eventType ] = {
+                functionName: association.functionName,
+                includeBody : association.includeBody,
+                handler     : this.getHandler( association.functionName )
+            };
+        }
+
+        if ( Object.keys( functions ).length == 0 )
+        {
+            throw Error( `${this.constructor.name}: No function of this service runs on ${eventTypes.join( ', ' )} `
+                + `for ${requestPath}, which uses the behavior ${behaviorName}.` );
+        }
+
+        this.log( `${requestPath} uses the behavior ${behaviorName} of ${distributions[0].id}` );
+
+        const results = await edgeInvoker.run( functions, eventTypes, viewerRequest, cacheBehavior );
+
+        let errors = [];
+
+        for ( let result of results )
+        {
+            this.log( `${result.eventType} (${functions[ result.eventType ].functionName}) returned:` );
+
+            print( JSON.stringify( result.result, null, 2 ) );
+
+            errors = errors.concat( result.errors );
+        }
+
+        if ( errors.length )
+        {
+            throw Error( `${this.constructor.name}: Found ${errors.length} problem(s) in the results:\n  - ${errors.join( '\n  - ' )}` );
+        }
+    }
+
+    /**
+     * Parses the headers option, a JSON object with the header names and values
+     * @return {Object}
+     */
+    getInvokeHeaders()
+    {
+        if ( !this.options.headers )
+        {
+            return {};
+        }
+
+        try
+        {
+            return JSON.parse( this.options.headers );
+        }
+        catch ( err )
+        {
+            throw Error( `${this.constructor.name}: The headers option must be a JSON object, such as '{"accept":"text/html"}': `
+                + err.message );
+        }
+    }
+
+    /**
+     * Gets the distribution to run the functions against, from the cache file if passed and it holds that distribution
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {String} distributionId
+     * @return {Object}
+     */
+    async getInvokeDistribution( cloudfrontConnector, distributionId )
+    {
+        const cacheFile = this.options.cache;
+
+        if ( cacheFile && fs.existsSync( cacheFile ) )
+        {
+            const cached = JSON.parse( fs.readFileSync( cacheFile, 'utf8' ) );
+
+            if ( cached.Distribution && cached.Distribution.Id === distributionId )
+            {
+                this.log( `Using the distribution saved in ${cacheFile}` );
+                return cached;
+            }
+
+            // The file was saved for another distribution, so it's replaced
+            this.log( `${cacheFile} doesn't hold the distribution ${distributionId}, getting it again` );
+        }
+
+        const distribution = await cloudfrontConnector.getDistribution( distributionId );
+
+        if ( cacheFile )
+        {
+            fs.writeFileSync( cacheFile, JSON.stringify( distribution, null, 2 ) );
+            this.log( `Saved the distribution to ${cacheFile}` );
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Loads the handler of a Node.js function of the service
+     * @param  {String} functionName
+     * @return {Function}
+     */
+    getHandler( functionName )
+    {
+        const definition = this.serverless.service.getFunction( functionName );
+        // Serverless deploys the functions with Node.js when no runtime is set
+        const runtime    = definition.runtime || this.serverless.service.provider.runtime || 'nodejs';
+
+        if ( !runtime.startsWith( 'nodejs' ) )
+        {
+            throw Error( `${this.constructor.name}: Only Node.js functions can run locally, ${functionName} uses ${runtime}.` );
+        }
+
+        // The handler is the path of the module and the name of its exported function, such as src/handler.run
+        const separator     = definition.handler.lastIndexOf( '.' );
+        const handlerModule = require( path.resolve( this.serverless.config.servicePath, definition.handler.slice( 0, separator ) ) );
+        const handler       = handlerModule[ definition.handler.slice( separator + 1 ) ];
+
+        if ( typeof handler !== 'function' )
+        {
+            throw Error( `${this.constructor.name}: The handler ${definition.handler} of ${functionName} is not a function.` );
+        }
+
+        return handler;
+    }
+
+    /**
+     * Deletes the versions of the edge functions that are not associated with any distribution,
+     * except the newest ones, the ones behind an alias and the ones a snapshot can be rolled back to
+     * @async
+     */
+    async pruneVersions()
+    {
+        const keep = Number( this.options.keep );
+
+        if ( this.options.keep === undefined || !Number.isInteger( keep ) || keep < 0 )
+        {
+            throw Error( `${this.constructor.name}: The keep option must be the number of versions to keep, not ${this.options.keep}.` );
+        }
+
+        this.getConfiguration();
+
+        const cloudfrontConnector = this.getCloudfrontConnector();
+
+        // Only the functions associated in the configuration are pruned
+        const associatedFunctions = this.getAssociatedFunctionNames( cloudfrontConnector );
+        const functionNames       = this.filterFunctions( this.serverless.service.getAllFunctions() )
+            .filter( functionName => associatedFunctions.indexOf( functionName ) !== -1 );
+
+        if ( functionNames.length == 0 )
+        {
+            this.log( `${this.constructor.name}: No edge functions found. Continuing without any changes.` );
+            return;
+        }
+
+        // Lambda@Edge doesn't allow deleting the versions replicated for any distribution, not only the configured ones
+        let associatedArns = await cloudfrontConnector.listAssociatedLambdaArns();
+
+        // The rollback would fail if the versions of a snapshot were deleted
+        if ( this.config.snapshots )
+        {
+            associatedArns = associatedArns.concat( await this.getSnapshotLambdaArns( cloudfrontConnector ) );
+        }
+
+        let failed = [];
+
+        for ( let functionName of functionNames )
+        {
+            const awsName       = this.serverless.service.getFunction( functionName ).name;
+            const aliasVersions = await this.getAliasVersions( awsName );
+
+            const versions = ( await this.listVersions( awsName ) )
+                .filter( version => version.Version !== '$LATEST' )
+                .sort( ( versionA, versionB ) => Number( versionB.Version ) - Number( versionA.Version ) );
+
+            const unusedVersions = versions.slice( keep ).filter( version => 
+                associatedArns.indexOf( version.FunctionArn ) === -1 && aliasVersions.indexOf( version.Version ) === -1 );
+
+            this.log( `${functionName}: ${unusedVersions.length} of ${versions.length} version(s) to delete.` );
+
+            for ( let version of unusedVersions )
+            {
+                if ( this.options[ 'dry-run' ] )
+                {
+                    this.log( `Would delete version ${version.Version} of ${awsName}` );
+                    continue;
+                }
+
+                // The replicas of a version removed from a distribution take a while to be deleted
+                try
+                {
+                    await this.getLambda().deleteFunction( { FunctionName: awsName, Qualifier: version.Version } ).promise();
+                    this.log( `Deleted version ${version.Version} of ${awsName}` );
+                }
+                catch ( err )
+                {
+                    this.log( `${this.constructor.name}: Couldn't delete version ${version.Version} of ${awsName}: `
+                        + err.message );
+                    failed.push( `${awsName}:${version.Version}` );
+                }
+            }
+        }
+
+        if ( failed.length )
+        {
+            throw Error( `${this.constructor.name}: Couldn't delete ${failed.length} version(s): ${failed.join( ', ' )}` );
+        }
+    }
+
+    /**
+     * Gets the ARNs of the Lambda functions associated in the stored snapshots of the configured distributions
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @return {Array}
+     */
+    async getSnapshotLambdaArns( cloudfrontConnector )
+    {
+        const snapshotStore = await this.getSnapshotStore();
+        const distributions = await this.resolveDistributions( cloudfrontConnector, this.distributions );
+
+        let arns = [];
+
+        for ( let distribution of distributions )
+        {
+            // Without its snapshots, the versions a distribution can be rolled back to are unknown
+            this.checkDistributionFound( distribution );
+
+            for ( let snapshot of await snapshotStore.loadAll( distribution.id ) )
+            {
+                for ( let savedBehavior of Object.values( snapshot.behaviors || {} ) )
+                {
+                    for ( let association of ( savedBehavior.LambdaFunctionAssociations || {} ).Items || [] )
+                    {
+                        arns.push( association.LambdaFunctionARN );
+                    }
+                }
+            }
+        }
+
+        return arns;
+    }
+
+    /**
+     * Gets the names of the functions associated with any behavior in the configuration
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @return {Array}
+     */
+    getAssociatedFunctionNames( cloudfrontConnector )
+    {
+        let functionNames = [];
+
+        for ( let distribution of this.distributions )
+        {
+            for ( let behaviorConfig of Object.values( distribution.behaviors || {} ) )
+            {
+                for ( let association of Object.values( behaviorConfig.lambdaAssociations || {} ) )
+                {
+                    const functionName = cloudfrontConnector.parseLambdaAssociation( association ).functionName;
+
+                    if ( functionNames.indexOf( functionName ) === -1 )
+                    {
+                        functionNames.push( functionName );
+                    }
+                }
+            }
+        }
+
+        return functionNames;
+    }
+
+    /**
+     * Gets the store for the distribution snapshots, in the deployment bucket unless another bucket is configured
+     * @async
+     * @return {SnapshotStore}
+     */
+    async getSnapshotStore()
+    {
+        if ( this.snapshotStore )
+        {
+            return this.snapshotStore;
+        }
+
+        const provider = this.serverless.getProvider( 'aws' );
+        const settings = typeof this.config.snapshots === 'object' ? this.config.snapshots : {};
+        const bucket   = settings.bucket || await provider.getServerlessDeploymentBucketName();
+        const prefix   = `serverless/${this.serverless.service.service}/${provider.getStage()}/cloudfront-snapshots`;
+
+        this.snapshotStore = new SnapshotStore( new S3Connector( this.getAwsOptions() ), bucket, prefix );
+
+        return this.snapshotStore;
+    }
+
+    /**
+     * Creates an invalidation for the passed paths and waits for it if configured
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {String} distributionId
+     * @param  {Array}  paths
+     */
+    async invalidateDistribution( cloudfrontConnector, distributionId, paths )
+    {
+        this.log( `Invalidating ${paths.join( ', ' )} in ${distributionId}` );
+
+        const invalidation = await cloudfrontConnector.createInvalidation( distributionId, paths );
+
+        this.log( `Created invalidation ${invalidation.Id} for ${distributionId}` );
+
+        const waitSettings = this.getWaitSettings( this.config.waitForInvalidation );
+
+        if ( waitSettings )
+        {
+            await cloudfrontConnector.waitForInvalidation( distributionId, invalidation.Id, waitSettings.timeout, waitSettings.interval );
+        }
+    }
+
+    /**
+     * Gets the paths to invalidate after the update, either the configured ones or, with 'auto', 
+     * the path patterns of the changed behaviors
+     * @param  {Array} changes
+     * @return {Array}
+     */
+    getInvalidationPaths( changes )
+    {
+        const invalidate = this.config.invalidate;
+
+        if ( !invalidate )
+        {
+            return [];
+        }
+
+        if ( invalidate !== 'auto' )
+        {
+            if ( !Array.isArray( invalidate ) )
+            {
+                throw Error( `${this.constructor.name}: invalidate must be auto or a list of paths, not ${JSON.stringify( invalidate )}.` );
+            }
+
+            return invalidate;
+        }
+
+        let paths = [];
+
+        for ( let section of changes )
+        {
+            if ( section.pathPattern === undefined )
+            {
+                continue;
+            }
+
+            // Invalidation paths only accept a wildcard at the end
+            let invalidationPath = section.pathPattern.replace( /[*?].*$/, '*' );
+            invalidationPath     = invalidationPath.startsWith( '/' ) ? invalidationPath : `/${invalidationPath}`;
+
+            if ( paths.indexOf( invalidationPath ) === -1 )
+            {
+                paths.push( invalidationPath );
+            }
+        }
+
+        return paths.indexOf( '/*' ) === -1 ? paths : [ '/*' ];
+    }
+
+    /**
+     * Gets the settings to wait for an operation, from its configuration value or a command option
+     * @param  {Boolean|Object} waitSetting Either true or the timeout and interval in seconds
+     * @param  {Boolean}        waitOption
+     * @return {Object|undefined}
+     */
+    getWaitSettings( waitSetting, waitOption )
+    {
+        if ( !waitSetting && !waitOption )
+        {
+            return undefined;
+        }
+
+        const settings = typeof waitSetting === 'object' ? waitSetting : {};
+
+        return {
+            timeout : ( settings.timeout || DEFAULT_WAIT_TIMEOUT ) * 1000,
+            interval: ( settings.interval || DEFAULT_WAIT_INTERVAL ) * 1000
+        };
+    }
+
+    /**
+     * Runs a command that prints JSON. Meanwhile everything else, from the plugin, the connectors or the handlers 
+     * run locally, is logged to stderr, so the output can be piped to other tools
+     * @async
+     * @param  {Function} runCommand Receives the function that prints to stdout
+     */
+    async runPrintingJson( runCommand )
+    {
+        const consoleLog = console.log;
+
+        this.printsJson = true;
+        console.log     = ( ...args ) => console.error( ...args );
+
+        try
+        {
+            await runCommand( output => consoleLog( output ) );
+        }
+        finally
+        {
+            console.log     = consoleLog;
+            this.printsJson = false;
+        }
+    }
+
+    /**
+     * Logs a message, to stderr while the command prints JSON
+     * @param {String} message
+     */
+    log( message )
+    {
+        if ( this.printsJson )
+        {
+            console.error( message );
+            return;
+        }
+
+        this.serverless.cli.log( message );
+    }
+
+    /**
+     * Logs the outcome for each distribution and fails if any of them couldn't be updated
+     * @param  {Array} results
+     */
+    reportResults( results )
+    {
+        if ( this.options.behavior && results.every( result => result.skipped ) )
+        {
+            throw Error( `${this.constructor.name}: Behavior ${this.options.behavior} is not configured for this deployment.` );
+        }
+
+        for ( let result of results )
+        {
+            if ( result.skipped )
+            {
+                this.log( `${result.id}: Skipped, nothing to update.` );
+            }
+            else if ( result.error )
+            {
+                this.log( `${result.id}: Failed: ${result.error.message}` );
+            }
+            else if ( this.options.check )
+            {
+                this.log( result.changes.length ? `${result.id}: Drifted.` : `${result.id}: In sync.` );
+            }
+            else if ( this.options[ 'dry-run' ] )
+            {
+                this.log( `${result.id}: Not updated, dry run.` );
+            }
+            else if ( result.changes && result.changes.length == 0 )
+            {
+                this.log( `${result.id}: Unchanged, nothing to update.` );
+            }
+            else
+            {
+                this.log( `${result.id}: Updated.` );
+            }
+        }
+
+        const failed = results.filter( result => result.error );
+
+        if ( failed.length )
+        {
+            const failedIds = failed.map( result => result.id ).join( ', ' );
+            const summary   = this.options.check ? 'Check failed for' : 
+                ( this.options[ 'dry-run' ] ? `Couldn't plan` : `Couldn't update` );
+
+            throw Error( `${this.constructor.name}: ${summary} ${failed.length} distribution(s): ${failedIds}` );
+        }
+
+        // The error makes the command exit with a non-zero code
+        const drifted = results.filter( result => this.options.check && result.changes && result.changes.length );
+
+        if ( drifted.length )
+        {
+            const driftedIds = drifted.map( result => result.id ).join( ', ' );
+            throw Error( `${this.constructor.name}: ${drifted.length} distribution(s) drifted from the configuration: ${driftedIds}` );
+        }
+
+        this.log( `${this.constructor.name}: Finished process correctly.` )
+    }
+
+    /**
+     * Restricts the distributions to the one passed with --distribution
+     * @param  {Array} distributions
+     * @return {Array}
+     */
+    filterDistributions( distributions )
+    {
+        if ( !this.options.distribution )
+        {
+            return distributions;
+        }
+
+        const filteredDistributions = distributions.filter( distribution => 
+            !distribution.error && distribution.id === this.options.distribution );
+
+        if ( filteredDistributions.length == 0 )
+        {
+            // The distribution may be one of the ones that couldn't be found, so their errors are reported instead
+            const notFound = distributions.filter( distribution => distribution.error );
+
+            if ( notFound.length )
+            {
+                return notFound;
+            }
+
+            throw Error( `${this.constructor.name}: Distribution ${this.options.distribution} is not configured.` );
+        }
+
+        return filteredDistributions;
+    }
+
+    /**
+     * Fails with the error of the lookup of a distribution, if it couldn't be found
+     * @param  {Object} distribution
+     */
+    checkDistributionFound( distribution )
+    {
+        if ( distribution.error )
+        {
+            throw distribution.error;
+        }
+    }
+
+    /**
+     * Restricts the behaviors configuration to the ones passed with --behavior and --function
+     * @param  {Object} behaviors
+     * @return {Object}
+     */
+    filterBehaviors( behaviors )
+    {
+        let filteredBehaviors = {};
+
+        for ( let pathPattern in behaviors )
+        {
+            if ( this.options.behavior && this.options.behavior !== pathPattern )
+            {
+                continue;
+            }
+
+            let behaviorConfig = behaviors[ pathPattern ];
+
+            // When pushing a single function, only the behaviors associated with it are touched. Their settings
+            // are kept, so a behavior can still be created, but no other function is associated or removed
+            if ( this.options.function )
+            {
+                const associations = behaviorConfig.lambdaAssociations || {};
+                const isAssociated = Object.keys( associations ).some( eventType => associations[ eventType ] 
+                    && ( associations[ eventType ].function || associations[ eventType ] ) === this.options.function );
+
+                if ( !isAssociated )
+                {
+                    continue;
+                }
+
+                behaviorConfig = Object.assign( {}, behaviorConfig );
+
+                delete behaviorConfig.removeLambdaAssociations;
+                delete behaviorConfig.functionAssociations;
+                delete behaviorConfig.removeFunctionAssociations;
+            }
+
+            filteredBehaviors[ pathPattern ] = behaviorConfig;
+        }
+
+        return filteredBehaviors;
+    }
+
+    /**
+     * Restricts the functions to deploy to the one passed with --function
+     * @param  {Array} functionNames
+     * @return {Array}
+     */
+    filterFunctions( functionNames )
+    {
+        if ( !this.options.function )
+        {
+            return functionNames;
+        }
+
+        if ( functionNames.indexOf( this.options.function ) === -1 )
+        {
+            throw Error( `${this.constructor.name}: Function ${this.options.function} is not defined in this service.` );
+        }
+
+        return [ this.options.function ];
+    }
+
+    /**
+     * Checks the functions associated with the distributions can run on Lambda@Edge, 
+     * failing with every problem found
+     * @param  {Array}  distributions
+     * @param  {Object} lambdaFunctions
+     */
+    validateFunctions( distributions, lambdaFunctions )
+    {
+        const service = this.serverless.service;
+
+        let functionDefinitions = {};
+
+        for ( let functionName of service.getAllFunctions() )
+        {
+            functionDefinitions[ functionName ] = service.getFunction( functionName );
+        }
+
+        const edgeValidator = new EdgeValidator();
+        const errors = edgeValidator.validate( distributions, functionDefinitions, service.provider, 
+            lambdaFunctions, Object.keys( this.config.functions || {} ) );
+
+        if ( errors.length )
+        {
+            throw Error( `${this.constructor.name}: Found ${errors.length} problem(s) in the configuration:\n  - ${errors.join( '\n  - ' )}` );
+        }
+    }
+
+    /**
+     * Creates or updates the configured CloudFront Functions and publishes them
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @return {Object}
+     */
+    async deployCloudfrontFunctions( cloudfrontConnector )
+    {
+        const functionsConfig   = this.config.functions || {};
+        let cloudfrontFunctions = {};
+
+        // Only the Lambda function is pushed when a single function is deployed
+        if ( this.options.function )
+        {
+            return cloudfrontFunctions;
+        }
+
+        for ( let name in functionsConfig )
+        {
+            // Nothing is deployed on a dry run, the current function is used instead
+            if ( this.options[ 'dry-run' ] )
+            {
+                const currentFunction = await cloudfrontConnector.getFunction( name, 'LIVE' );
+
+                cloudfrontFunctions[ name ] = currentFunction 
+                    ? currentFunction.FunctionSummary.FunctionMetadata 
+                    : { FunctionARN: `(new CloudFront Function ${name})` };
+                continue;
+            }
+
+            if ( !functionsConfig[ name ].source )
+            {
+                throw Error( `${this.constructor.name}: Missing the source of the CloudFront Function ${name}.` );
+            }
+
+            this.log( `Deploying CloudFront Function: ${name}` );
+
+            const code    = fs.readFileSync( path.resolve( this.serverless.config.servicePath, functionsConfig[ name ].source ) );
+            const summary = await cloudfrontConnector.deployFunction( name, code, functionsConfig[ name ] );
+
+            cloudfrontFunctions[ name ] = summary.FunctionMetadata;
+        }
+
+        return cloudfrontFunctions;
+    }
+
+    /**
+     * Gets all the passed functions versions, the ones published by the last deployment when available
+     * @async
+     * @param  {Array} functionNames
+     * @return {Object}
+     */
+    async getLambdaFunctions( functionNames )
+    {
+        if ( functionNames.length == 0 )
+        {
+            return {};
+        }
+
+        const stackOutputs = await this.getStackOutputs();
+        const naming       = this.serverless.getProvider( 'aws' ).naming;
+
+        // Get version for each function
+        const versions = await Promise.all( functionNames.map( functionName => 
+        {
+            this.log( `Getting version for: ${functionName}` );
+
+            const lambdaFunction = this.serverless.service.getFunction( functionName );
+            const qualifiedArn   = stackOutputs[ naming.getLambdaVersionOutputLogicalId( functionName ) ];
+
+            // Without versioning or a deployed stack, the newest version is looked up instead
+            if ( !qualifiedArn )
+            {
+                return this.getLatestVersion( lambdaFunction.name );
+            }
+
+            return this.getFunctionVersion( lambdaFunction.name, qualifiedArn.split( ':' ).pop() );
+        } ) );
+
+        let functions = {};
+
+        functionNames.forEach( ( functionName, index ) => functions[ functionName ] = versions[ index ] );
+
+        return functions;
+    }
+
+    /**
+     * Gets the outputs of the service stack, or none if they can't be read
+     * @async
+     * @return {Object}
+     */
+    async getStackOutputs()
+    {
+        const provider  = this.serverless.getProvider( 'aws' );
+        const stackName = provider.naming.getStackName();
+
+        const cloudformationConnector = new CloudformationConnector( this.getAwsOptions() );
+
+        return cloudformationConnector.getStackOutputs( stackName )
+        .catch( err => 
+        {
+            this.log( `${this.constructor.name}: Couldn't read the outputs of ${stackName}, `
+                + 'looking up the latest versions instead.' );
+            return {};
+        } );
+    }
+
+    /**
+     * Gets the versions the associations of the passed functions are pinned to, by function:qualifier
+     * @async
+     * @param  {CloudfrontConnector} cloudfrontConnector
+     * @param  {Array}  distributions
+     * @param  {Array}  functionNames
+     * @return {Object}
+     */
+    async getPinnedVersions( cloudfrontConnector, distributions, functionNames )
+    {
+        let versions = {};
+
+        for ( let distribution of distributions )
+        {
+            for ( let pathPattern in distribution.behaviors )
+            {
+                const associations = ( distribution.behaviors[ pathPattern ] || {} ).lambdaAssociations || {};
+
+                for ( let eventType in associations )
+                {
+                    const association = cloudfrontConnector.parseLambdaAssociation( associations[ eventType ] );
+
+                    if ( !association.qualifier || association.versionKey in versions 
+                        || functionNames.indexOf( association.functionName ) === -1 )
+                    {
+                        continue;
+                    }
+
+                    const lambdaFunction = this.serverless.service.getFunction( association.functionName );
+                    versions[ association.versionKey ] = await this.getFunctionVersion( lambdaFunction.name, association.qualifier );
+                }
+            }
+        }
+
+        return versions;
+    }
+
+    /**
+     * Gets a numbered version of the function, or the one an alias points to
+     * @async
+     * @param  {String} functionName
+     * @param  {String} qualifier    Version number or alias name
+     * @return {Object}
+     */
+    async getFunctionVersion( functionName, qualifier )
+    {
+        this.log( `Getting version ${qualifier} for: ${functionName}` );
+
+        const version = await this.getLambda().getFunctionConfiguration( { FunctionName: functionName, Qualifier: qualifier } )
+        .promise()
+        .catch( err =>
+        {
+            this.log( `${this.constructor.name}: Couldn't get the version ${qualifier} of ${functionName}: `
+                + JSON.stringify( err ) );
+            throw err;
+        } );
+
+        // The ARN of an alias can't be associated, so it's replaced with the one of its numbered version
+        const unqualifiedArn = version.FunctionArn.split( ':' ).slice( 0, 7 ).join( ':' );
+
+        return Object.assign( {}, version, { FunctionArn: `${unqualifiedArn}:${version.Version}` } );
+    }
+
+    /**
+     * Gets the function latest/newest version, going through all the pages of versions
+     * @async
+     * @param  {String} functionName
+     * @return {Object}
+     */
+    async getLatestVersion( functionName )
+    {
+        let latestVersion;
+
+        for ( let version of await this.listVersions( functionName ) )
+        {
+            // $LATEST is only used when nothing was published
+            if ( !latestVersion || ( version.Version !== '$LATEST' 
+                && ( latestVersion.Version === '$LATEST' || Number( version.Version ) > Number( latestVersion.Version ) ) ) )
+            {
+                latestVersion = version;
+            }
+        }
+
+        if ( !latestVersion )
+        {
+            throw Error( `${this.constructor.name}: No versions found for ${functionName}.` );
+        }
+
+        this.log( `Obtained lambda function latest version: ${latestVersion.Version}` );
+
+        return latestVersion;
+    }
+
+    /**
+     * Gets all the versions of the function, going through all the pages
+     * @async
+     * @param  {String} functionName
+     * @return {Array}
+     */
+    async listVersions( functionName )
+    {
+        const Lambda = this.getLambda();
+
+        let versions = [];
+        let paginationMarker;
+
+        do
+        {
+            const params = {
+                FunctionName: functionName,
+                // This method paginates just up to 50 versions, even when the documentation says 10000
+                MaxItems: 50
+            };
+
+            // If there are more pages, include the pagination marker to get the next one
+            if ( paginationMarker )
+            {
+                params.Marker = paginationMarker;
+            }
+
+            const data = await Lambda.listVersionsByFunction( params ).promise()
+            .catch( err =>
+            {
+                this.log( `${this.constructor.name}: Couldn't get function versions: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            versions         = versions.concat( data.Versions );
+            paginationMarker = data.NextMarker;
+        }
+        while ( paginationMarker );
+
+        return versions;
+    }
+
+    /**
+     * Gets the versions the aliases of the function point to, including the ones they route part of the traffic to
+     * @async
+     * @param  {String} functionName
+     * @return {Array}
+     */
+    async getAliasVersions( functionName )
+    {
+        const Lambda = this.getLambda();
+
+        let versions = [];
+        let paginationMarker;
+
+        do
+        {
+            const params = { FunctionName: functionName };
+
+            if ( paginationMarker )
+            {
+                params.Marker = paginationMarker;
+            }
+
+            const data = await Lambda.listAliases( params ).promise()
+            .catch( err =>
+            {
+                this.log( `${this.constructor.name}: Couldn't get function aliases: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            for ( let alias of data.Aliases )
+            {
+                const weights = alias.RoutingConfig && alias.RoutingConfig.AdditionalVersionWeights || {};
+
+                versions = versions.concat( alias.FunctionVersion, Object.keys( weights ) );
+            }
+
+            paginationMarker = data.NextMarker;
+        }
+        while ( paginationMarker );
+
+        return versions;
+    }
+
+    /**
+     * Gets an instance of the Lambda AWS class
+     * @return {AWS.Lambda}
+     */
+    getLambda()
+    {
+        return new AWS.Lambda( this.getAwsOptions() );
+    }
+
+    /**
+     * Gets the connector for CloudFront, with the credentials of the configured role if any
+     * @return {CloudfrontConnector}
+     */
+    getCloudfrontConnector()
+    {
+        let awsOptions = this.getAwsOptions();
+
+        // The distribution may be in another account than the functions
+        if ( this.config && this.config.roleArn )
+        {
+            awsOptions.credentials = new AWS.ChainableTemporaryCredentials( {
+                params: {
+                    RoleArn        : this.config.roleArn,
+                    RoleSessionName: ROLE_SESSION_NAME
+                },
+                masterCredentials: awsOptions.credentials
+            } );
+        }
+
+        return new CloudfrontConnector( awsOptions );
+    }
+
+    /**
+     * Gets the region and credentials Serverless resolved for the provider, so the AWS clients 
+     * follow --aws-profile, provider.profile and the rest of its settings instead of the global config
+     * @return {Object}
+     */
+    getAwsOptions()
+    {
+        const provider = this.serverless.getProvider( 'aws' );
+
+        return Object.assign( {}, provider.getCredentials(), { region: provider.getRegion() } );
     }
 }
 
@@ -0,0 +1,50 @@
+'use strict';
+
+// Event types, Lambda@Edge limits and path pattern matching of CloudFront, shared by the connector,
+// the configuration schema, the validator and the local invoker
+
+const CF_LAMBDA_EVENTS = {
+    viewerRequest : 'viewer-request',
+    viewerResponse: 'viewer-response',
+    originRequest : 'origin-request',
+    originResponse: 'origin-response'
+};
+
+// CloudFront Functions can only be associated with the viewer events
+const CF_FUNCTION_EVENTS = {
+    viewerRequest : CF_LAMBDA_EVENTS.viewerRequest,
+    viewerResponse: CF_LAMBDA_EVENTS.viewerResponse
+};
+
+// Only the request events can access the body
+const CF_BODY_EVENTS = [ 'viewerRequest', 'originRequest' ];
+
+// Memory (MB) and timeout (seconds) limits of Lambda@Edge for each event type
+const EDGE_LIMITS = {
+    viewerRequest : { memory: 128, timeout: 5 },
+    viewerResponse: { memory: 128, timeout: 5 },
+    originRequest : { memory: 10240, timeout: 30 },
+    originResponse: { memory: 10240, timeout: 30 }
+};
+
+/**
+ * Gets the regular expression of a CloudFront wildcard pattern, where * matches anything and ? a single character
+ * @param  {String} glob
+ * @return {RegExp}
+ */
+function getGlobRegex( glob )
+{
+    const regex = glob.replace( /[.+^${}()|[\]\\]/g, '\\$&' )
+        .replace( /\*/g, '.*' )
+        .replace( /\?/g, '.' );
+
+    return new RegExp( `^${regex}$` );
+}
+
+module.exports = {
+    CF_LAMBDA_EVENTS,
+    CF_FUNCTION_EVENTS,
+    CF_BODY_EVENTS,
+    EDGE_LIMITS,
+    getGlobRegex
+};
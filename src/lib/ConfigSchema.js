@@ -0,0 +1,230 @@
+'use strict';
+
+// JSON schema of custom.cloudfront, registered in Serverless and checked by the ConfigValidator
+
+const { CF_LAMBDA_EVENTS, CF_FUNCTION_EVENTS } = require('./CloudfrontDefinitions');
+
+const EVENT_TYPES          = Object.keys( CF_LAMBDA_EVENTS );
+const FUNCTION_EVENT_TYPES = Object.keys( CF_FUNCTION_EVENTS );
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const ttl        = { type: 'integer', minimum: 0 };
+
+const lambdaAssociation = {
+    anyOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            properties: {
+                function   : { type: 'string' },
+                includeBody: { type: 'boolean' },
+                version    : { type: [ 'integer', 'string' ] },
+                alias      : { type: 'string' }
+            },
+            required: [ 'function' ],
+            additionalProperties: false
+        }
+    ]
+};
+
+const behavior = {
+    type: 'object',
+    properties: {
+        match: {
+            anyOf: [
+                { type: 'string' },
+                {
+                    type: 'object',
+                    properties: { regex: { type: 'string' } },
+                    required: [ 'regex' ],
+                    additionalProperties: false
+                }
+            ]
+        },
+        mode      : { type: 'string', enum: [ 'replace', 'merge' ] },
+        // Only the presence of disable matters
+        disable   : {},
+        remove    : { type: 'boolean' },
+        precedence: { type: 'integer', minimum: 0 },
+        lambdaAssociations: {
+            type: 'object',
+            propertyNames: { title: 'event type', enum: EVENT_TYPES },
+            additionalProperties: lambdaAssociation
+        },
+        removeLambdaAssociations: {
+            type: 'array',
+            items: { title: 'event type', enum: EVENT_TYPES }
+        },
+        functionAssociations: {
+            type: 'object',
+            propertyNames: { title: 'CloudFront Function event type', enum: FUNCTION_EVENT_TYPES },
+            additionalProperties: { type: 'string' }
+        },
+        removeFunctionAssociations: {
+            type: 'array',
+            items: { title: 'CloudFront Function event type', enum: FUNCTION_EVENT_TYPES }
+        },
+        cookies: {
+            anyOf: [
+                { type: 'string', enum: [ 'all', 'none' ] },
+                stringList
+            ]
+        },
+        headers              : stringList,
+        queryString          : { type: 'boolean' },
+        queryStringCacheKeys : stringList,
+        cachePolicy          : { type: 'string' },
+        originRequestPolicy  : { type: 'string' },
+        responseHeadersPolicy: { type: 'string' },
+        targetOriginId       : { type: 'string' },
+        viewerProtocolPolicy : { type: 'string', enum: [ 'allow-all', 'https-only', 'redirect-to-https' ] },
+        allowedMethods: {
+            type: 'array',
+            items: { title: 'method', enum: [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'PATCH', 'POST', 'DELETE' ] }
+        },
+        minTTL    : ttl,
+        defaultTTL: ttl,
+        maxTTL    : ttl
+    },
+    additionalProperties: false
+};
+
+const behaviors = {
+    anyOf: [
+        { type: 'object', additionalProperties: behavior },
+        // Nothing is deployed when there are no behaviors
+        { type: [ 'array', 'null' ], maxItems: 0 }
+    ]
+};
+
+const distributionLookup = {
+    type: 'object',
+    properties: {
+        alias: { type: 'string' },
+        tag: {
+            type: 'object',
+            properties: {
+                key  : { type: 'string' },
+                value: { type: 'string' }
+            },
+            required: [ 'key' ],
+            additionalProperties: false
+        },
+        output: {
+            type: 'object',
+            properties: {
+                stack: { type: 'string' },
+                name : { type: 'string' }
+            },
+            required: [ 'name' ],
+            additionalProperties: false
+        },
+        export: { type: 'string' }
+    },
+    minProperties: 1,
+    maxProperties: 1,
+    additionalProperties: false
+};
+
+const waitSetting = {
+    anyOf: [
+        { type: 'boolean' },
+        {
+            type: 'object',
+            properties: {
+                timeout : { type: 'integer', minimum: 1 },
+                interval: { type: 'integer', minimum: 1 }
+            },
+            additionalProperties: false
+        }
+    ]
+};
+
+module.exports = {
+    type: 'object',
+    properties: {
+        distributionId: { type: 'string' },
+        distribution  : distributionLookup,
+        behaviors     : behaviors,
+        mode          : { type: 'string', enum: [ 'replace', 'merge' ] },
+        distributions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id          : { type: 'string' },
+                    distribution: distributionLookup,
+                    behaviors   : behaviors,
+                    mode        : { type: 'string', enum: [ 'replace', 'merge' ] }
+                },
+                required: [ 'behaviors' ],
+                additionalProperties: false
+            }
+        },
+        functions: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    source : { type: 'string' },
+                    runtime: { type: 'string', enum: [ 'cloudfront-js-1.0', 'cloudfront-js-2.0' ] },
+                    comment: { type: 'string' }
+                },
+                required: [ 'source' ],
+                additionalProperties: false
+            }
+        },
+        invalidate: {
+            anyOf: [
+                { type: 'string', enum: [ 'auto' ] },
+                stringList
+            ]
+        },
+        waitForDeployment  : waitSetting,
+        waitForInvalidation: waitSetting,
+        retry: {
+            type: 'object',
+            properties: {
+                attempts: { type: 'integer', minimum: 1 },
+                delay   : { type: 'number', minimum: 0 }
+            },
+            additionalProperties: false
+        },
+        roleArn: { type: 'string' },
+        staging: {
+            type: 'object',
+            properties: {
+                weight: { type: 'number', minimum: 0, maximum: 0.15 },
+                header: {
+                    type: 'object',
+                    properties: {
+                        name : { type: 'string' },
+                        value: { type: 'string' }
+                    },
+                    required: [ 'name', 'value' ],
+                    additionalProperties: false
+                },
+                sessionStickiness: {
+                    type: 'object',
+                    properties: {
+                        idleTTL   : { type: 'integer', minimum: 300, maximum: 3600 },
+                        maximumTTL: { type: 'integer', minimum: 300, maximum: 3600 }
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        snapshots: {
+            anyOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    properties: { bucket: { type: 'string' } },
+                    additionalProperties: false
+                }
+            ]
+        }
+    },
+    additionalProperties: false
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+// How each type is named in the errors
+const TYPE_NAMES = {
+    string : 'a string',
+    number : 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    array  : 'a list',
+    object : 'an object',
+    null   : 'empty'
+};
+
+/**
+ * Checks a value against the subset of JSON schema used by the plugin configuration:
+ * type, enum, minimum, maximum, properties, required, additionalProperties, propertyNames,
+ * minProperties, maxProperties, items, maxItems and anyOf
+ */
+class ConfigValidator
+{
+    /**
+     * Gets every problem of the value, with the path where it was found
+     * @param  {*}      value
+     * @param  {Object} schema
+     * @param  {String} path
+     * @return {Array}
+     */
+    validate( value, schema, path )
+    {
+        path = path || '';
+
+        if ( schema.anyOf )
+        {
+            return this.validateAnyOf( value, schema.anyOf, path );
+        }
+
+        if ( schema.type && !this.getTypes( schema ).some( type => this.isType( value, type ) ) )
+        {
+            return [ `${path || 'The configuration'} must be ${this.describe( schema )}` ];
+        }
+
+        if ( schema.enum && schema.enum.indexOf( value ) === -1 )
+        {
+            return [ schema.title
+                ? `${path} is not a valid ${schema.title}`
+                : `${path} must be ${this.describe( schema )}` ];
+        }
+
+        if ( schema.minimum !== undefined && value < schema.minimum )
+        {
+            return [ `${path} must be at least ${schema.minimum}` ];
+        }
+
+        if ( schema.maximum !== undefined && value > schema.maximum )
+        {
+            return [ `${path} must be at most ${schema.maximum}` ];
+        }
+
+        if ( Array.isArray( value ) && schema.maxItems !== undefined && value.length > schema.maxItems )
+        {
+            return [ `${path} must have at most ${schema.maxItems} item(s)` ];
+        }
+
+        if ( Array.isArray( value ) && schema.items )
+        {
+            return value.reduce( ( errors, item, index ) =>
+                errors.concat( this.validate( item, schema.items, `${path}[${index}]` ) ), [] );
+        }
+
+        if ( this.isType( value, 'object' ) )
+        {
+            return this.validateObject( value, schema, path );
+        }
+
+        return [];
+    }
+
+    /**
+     * Checks the properties of an object
+     * @param  {Object} value
+     * @param  {Object} schema
+     * @param  {String} path
+     * @return {Array}
+     */
+    validateObject( value, schema, path )
+    {
+        let errors = [];
+
+        const properties = schema.properties || {};
+        const keys       = Object.keys( value );
+
+        for ( let key of schema.required || [] )
+        {
+            if ( !( key in value ) )
+            {
+                errors.push( `${this.getPropertyPath( path, key )} is required` );
+            }
+        }
+
+        if ( schema.minProperties !== undefined && keys.length < schema.minProperties )
+        {
+            errors.push( `${path} must have at least ${schema.minProperties} of: ${Object.keys( properties ).join( ', ' )}` );
+        }
+
+        if ( schema.maxProperties !== undefined && keys.length > schema.maxProperties )
+        {
+            errors.push( `${path} must have at most ${schema.maxProperties} of: ${Object.keys( properties ).join( ', ' )}` );
+        }
+
+        for ( let key of keys )
+        {
+            const propertyPath = this.getPropertyPath( path, key );
+
+            if ( schema.propertyNames )
+            {
+                const keyErrors = this.validate( key, schema.propertyNames, propertyPath );
+
+                if ( keyErrors.length )
+                {
+                    errors = errors.concat( keyErrors );
+                    continue;
+                }
+            }
+
+            if ( key in properties )
+            {
+                errors = errors.concat( this.validate( value[ key ], properties[ key ], propertyPath ) );
+            }
+            else if ( schema.additionalProperties === false )
+            {
+                errors.push( `${propertyPath} is not a valid setting` );
+            }
+            else if ( schema.additionalProperties )
+            {
+                errors = errors.concat( this.validate( value[ key ], schema.additionalProperties, propertyPath ) );
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks a value that can take several forms, reporting the problems of the form with its type
+     * @param  {*}      value
+     * @param  {Array}  schemas
+     * @param  {String} path
+     * @return {Array}
+     */
+    validateAnyOf( value, schemas, path )
+    {
+        const candidates = schemas.filter( schema => this.getTypes( schema ).some( type => this.isType( value, type ) ) );
+
+        if ( candidates.length == 0 )
+        {
+            return [ `${path} must be ${schemas.map( schema => this.describe( schema ) ).join( ' or ' )}` ];
+        }
+
+        const results = candidates.map( schema => this.validate( value, schema, path ) );
+
+        return results.find( errors => errors.length == 0 ) || results[0];
+    }
+
+    /**
+     * Describes the values a schema accepts
+     * @param  {Object} schema
+     * @return {String}
+     */
+    describe( schema )
+    {
+        if ( schema.enum )
+        {
+            return `one of: ${schema.enum.join( ', ' )}`;
+        }
+
+        return this.getTypes( schema ).map( type => TYPE_NAMES[ type ] ).join( ' or ' );
+    }
+
+    /**
+     * Gets the types accepted by a schema
+     * @param  {Object} schema
+     * @return {Array}
+     */
+    getTypes( schema )
+    {
+        return [].concat( schema.type || [] );
+    }
+
+    /**
+     * Checks if a value is of a JSON schema type
+     * @param  {*}      value
+     * @param  {String} type
+     * @return {Boolean}
+     */
+    isType( value, type )
+    {
+        switch ( type )
+        {
+            case 'integer':
+                return Number.isInteger( value );
+            case 'array':
+                return Array.isArray( value );
+            case 'null':
+                return value === null;
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray( value );
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Gets the path of a property, using brackets for the keys that aren't identifiers
+     * @param  {String} path
+     * @param  {String} key
+     * @return {String}
+     */
+    getPropertyPath( path, key )
+    {
+        if ( !/^[A-Za-z_$][\w$]*$/.test( key ) )
+        {
+            return `${path}['${key}']`;
+        }
+
+        return path ? `${path}.${key}` : key;
+    }
+}
+
+module.exports = ConfigValidator;
@@ -0,0 +1,291 @@
+'use strict';
+
+// Fields used to identify the items of an array of objects, so they can be compared one by one
+const ITEM_KEY_FIELDS = [ 'EventType', 'PathPattern', 'Id' ];
+
+class DistributionDiff
+{
+    /**
+     * Gets the structural differences between two distribution configurations, grouped by cache behavior
+     * @param  {Object} currentConfig
+     * @param  {Object} proposedConfig
+     * @return {Array}
+     */
+    diffDistributionConfig( currentConfig, proposedConfig )
+    {
+        let sections = [];
+
+        // Everything that is not a cache behavior is reported in its own section
+        let currentSettings  = Object.assign( {}, currentConfig );
+        let proposedSettings = Object.assign( {}, proposedConfig );
+
+        for ( let field of [ 'DefaultCacheBehavior', 'CacheBehaviors' ] )
+        {
+            delete currentSettings[ field ];
+            delete proposedSettings[ field ];
+        }
+
+        sections.push( this.createSection( 'Distribution', currentSettings, proposedSettings ) );
+
+        let defaultSection = this.createSection( 'DefaultCacheBehavior',
+            currentConfig.DefaultCacheBehavior, proposedConfig.DefaultCacheBehavior );
+
+        defaultSection.pathPattern = '*';
+        sections.push( defaultSection );
+
+        const currentBehaviors  = this.getCacheBehaviors( currentConfig );
+        const proposedBehaviors = this.getCacheBehaviors( proposedConfig );
+
+        proposedBehaviors.forEach( ( behavior, index ) => 
+        {
+            const currentBehavior = currentBehaviors.find( item => item.PathPattern === behavior.PathPattern );
+            let section = this.createSection( `behavior ${behavior.PathPattern}`, currentBehavior, behavior );
+
+            section.added       = currentBehavior === undefined;
+            section.pathPattern = behavior.PathPattern;
+
+            if ( section.added )
+            {
+                section.precedence = index;
+            }
+
+            sections.push( section );
+        } );
+
+        for ( let behavior of currentBehaviors )
+        {
+            if ( !proposedBehaviors.some( item => item.PathPattern === behavior.PathPattern ) )
+            {
+                let section = this.createSection( `behavior ${behavior.PathPattern}`, behavior, undefined );
+
+                section.removed     = true;
+                section.pathPattern = behavior.PathPattern;
+                sections.push( section );
+            }
+        }
+
+        // The precedence is only reported for the behaviors present in both configurations
+        const currentOrder  = currentBehaviors.map( item => item.PathPattern )
+            .filter( pathPattern => proposedBehaviors.some( item => item.PathPattern === pathPattern ) );
+        const proposedOrder = proposedBehaviors.map( item => item.PathPattern )
+            .filter( pathPattern => currentBehaviors.some( item => item.PathPattern === pathPattern ) );
+
+        if ( JSON.stringify( currentOrder ) !== JSON.stringify( proposedOrder ) )
+        {
+            sections.push( {
+                name   : 'CacheBehaviors order',
+                changes: [ { path: 'PathPattern', before: currentOrder, after: proposedOrder } ]
+            } );
+        }
+
+        return sections.filter( section => section.changes.length || section.added || section.removed );
+    }
+
+    /**
+     * Creates a diff section with all the changes between two values
+     * @param  {String} name
+     * @param  {*}      before
+     * @param  {*}      after
+     * @return {Object}
+     */
+    createSection( name, before, after )
+    {
+        let changes = [];
+
+        // Added and removed behaviors are reported as a whole
+        if ( before !== undefined && after !== undefined )
+        {
+            this.diffValues( before, after, '', changes );
+        }
+
+        return { name, changes };
+    }
+
+    /**
+     * Recursively collects the changes between two values
+     * @param  {*}      before
+     * @param  {*}      after
+     * @param  {String} path
+     * @param  {Array}  changes
+     */
+    diffValues( before, after, path, changes )
+    {
+        if ( JSON.stringify( before ) === JSON.stringify( after ) )
+        {
+            return;
+        }
+
+        if ( this.isObject( before ) && this.isObject( after ) )
+        {
+            const keys = Object.keys( before ).concat( Object.keys( after ).filter( key => !( key in before ) ) );
+
+            for ( let key of keys )
+            {
+                this.diffValues( before[ key ], after[ key ], path ? `${path}.${key}` : key, changes );
+            }
+            return;
+        }
+
+        if ( Array.isArray( before ) && Array.isArray( after ) )
+        {
+            const keyField = this.getItemKeyField( before.concat( after ) );
+
+            if ( keyField )
+            {
+                return this.diffKeyedItems( before, after, keyField, path, changes );
+            }
+
+            if ( before.concat( after ).every( item => !this.isObject( item ) && !Array.isArray( item ) ) )
+            {
+                const added   = after.filter( item => before.indexOf( item ) === -1 );
+                const removed = before.filter( item => after.indexOf( item ) === -1 );
+
+                // Only the order changed
+                if ( added.length == 0 && removed.length == 0 )
+                {
+                    changes.push( { path, before, after } );
+                    return;
+                }
+
+                changes.push( { path, added, removed } );
+                return;
+            }
+        }
+
+        changes.push( { path, before, after } );
+    }
+
+    /**
+     * Compares two arrays of objects item by item, using the passed field to match them
+     * @param  {Array}  before
+     * @param  {Array}  after
+     * @param  {String} keyField
+     * @param  {String} path
+     * @param  {Array}  changes
+     */
+    diffKeyedItems( before, after, keyField, path, changes )
+    {
+        let keys = [];
+
+        for ( let item of before.concat( after ) )
+        {
+            if ( keys.indexOf( item[ keyField ] ) === -1 )
+            {
+                keys.push( item[ keyField ] );
+            }
+        }
+
+        for ( let key of keys )
+        {
+            this.diffValues(
+                before.find( item => item[ keyField ] === key ),
+                after.find( item => item[ keyField ] === key ),
+                `${path}[${key}]`,
+                changes
+            );
+        }
+    }
+
+    /**
+     * Gets the field that identifies every item of an array, if any
+     * @param  {Array} items
+     * @return {String|undefined}
+     */
+    getItemKeyField( items )
+    {
+        if ( items.length == 0 || !items.every( item => this.isObject( item ) ) )
+        {
+            return undefined;
+        }
+
+        return ITEM_KEY_FIELDS.find( field => items.every( item => field in item ) );
+    }
+
+    /**
+     * Gets the cache behaviors list of a distribution configuration
+     * @param  {Object} distributionConfig
+     * @return {Array}
+     */
+    getCacheBehaviors( distributionConfig )
+    {
+        if ( !distributionConfig.CacheBehaviors || !distributionConfig.CacheBehaviors.Items )
+        {
+            return [];
+        }
+
+        return distributionConfig.CacheBehaviors.Items;
+    }
+
+    /**
+     * Formats the diff sections into a readable text
+     * @param  {Array} sections
+     * @return {String}
+     */
+    formatDiff( sections )
+    {
+        if ( sections.length == 0 )
+        {
+            return 'No changes.';
+        }
+
+        let lines = [];
+
+        for ( let section of sections )
+        {
+            if ( section.added )
+            {
+                lines.push( `+ ${section.name} (new, precedence ${section.precedence})` );
+                continue;
+            }
+
+            if ( section.removed )
+            {
+                lines.push( `- ${section.name} (removed)` );
+                continue;
+            }
+
+            lines.push( `~ ${section.name}` );
+
+            for ( let change of section.changes )
+            {
+                if ( 'added' in change )
+                {
+                    change.added.forEach( item => lines.push( `    ${change.path}: + ${this.formatValue( item )}` ) );
+                    change.removed.forEach( item => lines.push( `    ${change.path}: - ${this.formatValue( item )}` ) );
+                    continue;
+                }
+
+                lines.push( `    ${change.path}: ${this.formatValue( change.before )} -> ${this.formatValue( change.after )}` );
+            }
+        }
+
+        return lines.join( '\n' );
+    }
+
+    /**
+     * Formats a single value for the diff output
+     * @param  {*} value
+     * @return {String}
+     */
+    formatValue( value )
+    {
+        if ( value === undefined )
+        {
+            return '(none)';
+        }
+
+        return typeof value === 'string' ? value : JSON.stringify( value );
+    }
+
+    /**
+     * Checks if the value is a plain object
+     * @param  {*} value
+     * @return {Boolean}
+     */
+    isObject( value )
+    {
+        return value !== null && typeof value === 'object' && !Array.isArray( value );
+    }
+}
+
+module.exports = DistributionDiff;
@@ -0,0 +1,260 @@
+'use strict';
+
+// Columns of the table output, with the field of each row they show
+const TABLE_COLUMNS = [
+    { title: 'Path', field: 'pathPattern' },
+    { title: 'Origin', field: 'origin' },
+    { title: 'Cookies', field: 'cookies' },
+    { title: 'Headers', field: 'headers' },
+    { title: 'Query strings', field: 'queryStrings' },
+    { title: 'Event', field: 'eventType' },
+    { title: 'Function', field: 'functionName' },
+    { title: 'Version', field: 'version' }
+];
+
+// Marks the entries configured by this service in the table output
+const CONFIGURED_MARK = '*';
+
+class DistributionInfo
+{
+    /**
+     * @param {CloudfrontConnector} cloudfrontConnector
+     * @param {Object}              serviceFunctions    Names of this service's functions in AWS, by function name
+     */
+    constructor( cloudfrontConnector, serviceFunctions )
+    {
+        this.cloudfrontConnector = cloudfrontConnector;
+        this.serviceFunctions    = serviceFunctions;
+    }
+
+    /**
+     * Describes the cache behaviors of a distribution and their edge functions
+     * @param  {String} distributionId
+     * @param  {Object} distributionConfig
+     * @param  {Object} behaviorsConfig    Behaviors configured in this service for the distribution
+     * @return {Object}
+     */
+    describeDistribution( distributionId, distributionConfig, behaviorsConfig )
+    {
+        behaviorsConfig = behaviorsConfig || {};
+
+        const cacheBehaviors = [ distributionConfig.DefaultCacheBehavior ]
+            .concat( distributionConfig.CacheBehaviors.Items || [] );
+
+        return {
+            id       : distributionId,
+            behaviors: cacheBehaviors.map( cacheBehavior =>
+            {
+                const configKey = cacheBehavior.PathPattern === undefined
+                    ? ( 'DefaultCacheBehavior' in behaviorsConfig ? 'DefaultCacheBehavior' : undefined )
+                    : this.cloudfrontConnector.findBehaviorConfigKey( behaviorsConfig, cacheBehavior.PathPattern );
+
+                return this.describeBehavior( cacheBehavior, configKey !== undefined ? behaviorsConfig[ configKey ] : undefined );
+            } )
+        };
+    }
+
+    /**
+     * Describes a cache behavior, its forwarded values and its edge functions
+     * @param  {Object} cacheBehavior
+     * @param  {Object} behaviorConfig Configuration of the behavior in this service, if any
+     * @return {Object}
+     */
+    describeBehavior( cacheBehavior, behaviorConfig )
+    {
+        const lambdaConfig   = behaviorConfig && behaviorConfig.lambdaAssociations || {};
+        const functionConfig = behaviorConfig && behaviorConfig.functionAssociations || {};
+
+        // The policies replace the forwarded values
+        const forwardedValues = cacheBehavior.ForwardedValues;
+
+        let behavior = {
+            pathPattern: cacheBehavior.PathPattern || 'DefaultCacheBehavior',
+            origin     : cacheBehavior.TargetOriginId,
+            configured : behaviorConfig !== undefined
+        };
+
+        if ( forwardedValues )
+        {
+            behavior.cookies = forwardedValues.Cookies.Forward === 'whitelist'
+                ? forwardedValues.Cookies.WhitelistedNames.Items || []
+                : forwardedValues.Cookies.Forward;
+            behavior.headers              = forwardedValues.Headers ? forwardedValues.Headers.Items || [] : [];
+            behavior.queryString          = forwardedValues.QueryString;
+            behavior.queryStringCacheKeys = forwardedValues.QueryStringCacheKeys
+                ? forwardedValues.QueryStringCacheKeys.Items || [] : [];
+        }
+        else
+        {
+            behavior.cachePolicyId         = cacheBehavior.CachePolicyId;
+            behavior.originRequestPolicyId = cacheBehavior.OriginRequestPolicyId;
+        }
+
+        behavior.lambdaAssociations = ( cacheBehavior.LambdaFunctionAssociations.Items || [] ).map( association =>
+        {
+            // arn:aws:lambda:region:account:function:name:version
+            const arnParts  = association.LambdaFunctionARN.split( ':' );
+            const eventType = this.getEventTypeName( association.EventType );
+
+            return {
+                eventType   : eventType,
+                functionName: this.getServiceFunctionName( arnParts[6] ) || arnParts[6],
+                version     : arnParts[7],
+                arn         : association.LambdaFunctionARN,
+                includeBody : association.IncludeBody === true,
+                configured  : eventType in lambdaConfig
+            };
+        } );
+
+        const functionAssociations = cacheBehavior.FunctionAssociations ? cacheBehavior.FunctionAssociations.Items || [] : [];
+
+        behavior.functionAssociations = functionAssociations.map( association =>
+        {
+            const eventType = this.getEventTypeName( association.EventType );
+
+            return {
+                eventType   : eventType,
+                functionName: association.FunctionARN.split( '/' ).pop(),
+                arn         : association.FunctionARN,
+                configured  : eventType in functionConfig
+            };
+        } );
+
+        return behavior;
+    }
+
+    /**
+     * Gets the configuration name of an event type, viewerRequest for viewer-request
+     * @param  {String} eventType
+     * @return {String}
+     */
+    getEventTypeName( eventType )
+    {
+        return eventType.replace( /-([a-z])/g, ( match, letter ) => letter.toUpperCase() );
+    }
+
+    /**
+     * Gets the name of a function in this service from its name in AWS
+     * @param  {String} awsName
+     * @return {String|undefined}
+     */
+    getServiceFunctionName( awsName )
+    {
+        return Object.keys( this.serviceFunctions ).find( functionName => this.serviceFunctions[ functionName ] === awsName );
+    }
+
+    /**
+     * Formats the descriptions of the distributions as text tables
+     * @param  {Array} distributions
+     * @return {String}
+     */
+    formatTable( distributions )
+    {
+        let output = [];
+
+        for ( let distribution of distributions )
+        {
+            let rows = [];
+
+            for ( let behavior of distribution.behaviors )
+            {
+                const associations = behavior.lambdaAssociations.concat( behavior.functionAssociations.map( association =>
+                    Object.assign( {}, association, { version: 'CloudFront Function' } ) ) );
+
+                // Every behavior has a row, even without edge functions
+                ( associations.length ? associations : [ {} ] ).forEach( ( association, index ) =>
+                {
+                    let row = {};
+
+                    if ( index == 0 )
+                    {
+                        row = {
+                            pathPattern : `${behavior.pathPattern}${behavior.configured ? ` ${CONFIGURED_MARK}` : ''}`,
+                            origin      : behavior.origin,
+                            cookies     : this.formatList( behavior.cookies ),
+                            headers     : this.formatList( behavior.headers ),
+                            queryStrings: this.formatQueryStrings( behavior )
+                        };
+                    }
+
+                    if ( association.eventType )
+                    {
+                        row.eventType    = `${association.eventType}${association.configured ? ` ${CONFIGURED_MARK}` : ''}`;
+                        row.functionName = association.functionName + ( association.includeBody ? ' (body)' : '' );
+                        row.version      = association.version;
+                    }
+
+                    rows.push( row );
+                } );
+            }
+
+            output.push( `Distribution ${distribution.id}` );
+            output.push( this.formatRows( rows ) );
+        }
+
+        output.push( `${CONFIGURED_MARK} configured by this service` );
+
+        return output.join( '\n\n' );
+    }
+
+    /**
+     * Formats a list of values for the table, or a single value such as all or none
+     * @param  {Array|String} value
+     * @return {String}
+     */
+    formatList( value )
+    {
+        if ( value === undefined )
+        {
+            return 'policy';
+        }
+
+        if ( Array.isArray( value ) )
+        {
+            return value.length ? value.join( ', ' ) : 'none';
+        }
+
+        return value;
+    }
+
+    /**
+     * Formats the query string settings of a behavior for the table
+     * @param  {Object} behavior
+     * @return {String}
+     */
+    formatQueryStrings( behavior )
+    {
+        if ( behavior.queryString === undefined )
+        {
+            return 'policy';
+        }
+
+        if ( !behavior.queryString )
+        {
+            return 'none';
+        }
+
+        return behavior.queryStringCacheKeys.length ? behavior.queryStringCacheKeys.join( ', ' ) : 'all';
+    }
+
+    /**
+     * Formats rows as a table with aligned columns
+     * @param  {Array} rows
+     * @return {String}
+     */
+    formatRows( rows )
+    {
+        const widths = TABLE_COLUMNS.map( column => Math.max( column.title.length,
+            ...rows.map( row => String( row[ column.field ] || '' ).length ) ) );
+
+        const formatLine = values => values.map( ( value, index ) => String( value ).padEnd( widths[ index ] ) )
+            .join( '  ' ).trimEnd();
+
+        return [
+            formatLine( TABLE_COLUMNS.map( column => column.title ) ),
+            formatLine( widths.map( width => '-'.repeat( width ) ) )
+        ].concat( rows.map( row => formatLine( TABLE_COLUMNS.map( column => row[ column.field ] || '' ) ) ) ).join( '\n' );
+    }
+}
+
+module.exports = DistributionInfo;
@@ -0,0 +1,563 @@
+'use strict';
+
+const { CF_LAMBDA_EVENTS, CF_BODY_EVENTS, EDGE_LIMITS, getGlobRegex } = require('./CloudfrontDefinitions');
+
+// Order in which CloudFront runs the events of a request
+const EDGE_EVENT_CHAIN = [ 'viewerRequest', 'originRequest', 'originResponse', 'viewerResponse' ];
+
+// Size limits of the responses generated by the functions and of the bodies they replace, in bytes
+const EDGE_SIZE_LIMITS = {
+    viewerRequest : 40 * 1024,
+    viewerResponse: 40 * 1024,
+    originRequest : 1024 * 1024,
+    originResponse: 1024 * 1024
+};
+
+// Headers the functions can't add or change in any event
+const DISALLOWED_HEADERS = [ 'connection', 'expect', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'proxy-connection', 'trailer', 'upgrade', 'x-accel-buffering', 'x-accel-charset', 'x-accel-limit-rate',
+    'x-accel-redirect', 'x-cache', 'x-forwarded-proto', 'x-real-ip' ];
+const DISALLOWED_HEADER_PREFIXES = [ 'x-amz-cf-', 'x-edge-' ];
+
+// Headers the functions can read but not change, for each event type
+const READ_ONLY_HEADERS = {
+    viewerRequest : [ 'content-length', 'host', 'transfer-encoding', 'via' ],
+    originRequest : [ 'accept-encoding', 'content-length', 'if-modified-since', 'if-none-match', 'if-range',
+        'if-unmodified-since', 'transfer-encoding', 'via' ],
+    originResponse: [ 'transfer-encoding', 'via' ],
+    viewerResponse: [ 'content-encoding', 'content-length', 'transfer-encoding', 'warning', 'via' ]
+};
+
+const CLIENT_IP = '127.0.0.1';
+
+/**
+ * Runs edge functions locally with the events CloudFront would send them for a request to the distribution
+ */
+class EdgeInvoker
+{
+    /**
+     * @param {Object} distribution Distribution as returned by getDistribution, with its ID, domain name and configuration
+     */
+    constructor( distribution )
+    {
+        this.distribution       = distribution;
+        this.distributionConfig = distribution.DistributionConfig;
+    }
+
+    /**
+     * Gets the events to run, the passed one and, when chaining, the ones after it
+     * @param  {String}  eventType
+     * @param  {Boolean} chain
+     * @return {Array}
+     */
+    getEventTypes( eventType, chain )
+    {
+        const index = EDGE_EVENT_CHAIN.indexOf( eventType );
+
+        if ( index === -1 )
+        {
+            throw Error( `${this.constructor.name}: ${eventType} is not a valid event type, `
+                + `use one of: ${EDGE_EVENT_CHAIN.join( ', ' )}.` );
+        }
+
+        return chain ? EDGE_EVENT_CHAIN.slice( index ) : [ eventType ];
+    }
+
+    /**
+     * Finds the cache behavior CloudFront would use for the path, checking the path patterns by precedence
+     * @param  {String} uri
+     * @return {Object}
+     */
+    findCacheBehavior( uri )
+    {
+        const cacheBehavior = ( this.distributionConfig.CacheBehaviors.Items || [] )
+            .find( behavior => this.matchesRequestPath( behavior.PathPattern, uri ) );
+
+        return cacheBehavior || this.distributionConfig.DefaultCacheBehavior;
+    }
+
+    /**
+     * Checks if a request path matches a path pattern, which may or may not start with a slash
+     * @param  {String} pathPattern
+     * @param  {String} uri
+     * @return {Boolean}
+     */
+    matchesRequestPath( pathPattern, uri )
+    {
+        return getGlobRegex( pathPattern.startsWith( '/' ) ? pathPattern : `/${pathPattern}` ).test( uri );
+    }
+
+    /**
+     * Creates the request as CloudFront receives it from the viewer
+     * @param  {String} method
+     * @param  {String} requestPath Path with the query string, if any
+     * @param  {Object} headers     Extra header values by name, overriding the defaults
+     * @param  {String} body
+     * @return {Object}
+     */
+    createViewerRequest( method, requestPath, headers, body )
+    {
+        const queryIndex = requestPath.indexOf( '?' );
+        const aliases    = this.distributionConfig.Aliases && this.distributionConfig.Aliases.Items || [];
+
+        const headerValues = Object.assign( {
+            host        : aliases.length ? aliases[0] : this.distribution.DomainName,
+            'user-agent': 'serverless-cloudfront-plugin',
+            accept      : '*/*'
+        }, headers );
+
+        let request = {
+            clientIp   : CLIENT_IP,
+            method     : method.toUpperCase(),
+            uri        : queryIndex === -1 ? requestPath : requestPath.slice( 0, queryIndex ),
+            querystring: queryIndex === -1 ? '' : requestPath.slice( queryIndex + 1 ),
+            headers    : {}
+        };
+
+        for ( let name in headerValues )
+        {
+            this.setHeader( request.headers, name, headerValues[ name ] );
+        }
+
+        if ( body !== undefined )
+        {
+            request.body = {
+                inputTruncated: false,
+                action        : 'read-only',
+                encoding      : 'base64',
+                data          : Buffer.from( body ).toString( 'base64' )
+            };
+        }
+
+        return request;
+    }
+
+    /**
+     * Creates the request CloudFront sends to the origin, with only the forwarded headers, cookies and query string
+     * @param  {Object} viewerRequest
+     * @param  {Object} cacheBehavior
+     * @return {Object}
+     */
+    createOriginRequest( viewerRequest, cacheBehavior )
+    {
+        const origin = ( this.distributionConfig.Origins.Items || [] ).find( item => item.Id === cacheBehavior.TargetOriginId );
+
+        if ( !origin )
+        {
+            throw Error( `${this.constructor.name}: The origin ${cacheBehavior.TargetOriginId} of the behavior doesn't exist.` );
+        }
+
+        let request = JSON.parse( JSON.stringify( viewerRequest ) );
+
+        // The policies aren't resolved, so everything the viewer sent is forwarded
+        const forwardedValues = cacheBehavior.ForwardedValues;
+
+        if ( forwardedValues )
+        {
+            const forwardedHeaders = ( forwardedValues.Headers && forwardedValues.Headers.Items || [] )
+                .map( header => header.toLowerCase() );
+
+            if ( forwardedHeaders.indexOf( '*' ) === -1 )
+            {
+                for ( let name in request.headers )
+                {
+                    if ( name !== 'cookie' && forwardedHeaders.indexOf( name ) === -1 )
+                    {
+                        delete request.headers[ name ];
+                    }
+                }
+            }
+
+            this.filterCookies( request.headers, forwardedValues.Cookies );
+
+            if ( !forwardedValues.QueryString )
+            {
+                request.querystring = '';
+            }
+        }
+
+        // CloudFront always sends these, replacing the host unless it's forwarded
+        if ( !request.headers.host )
+        {
+            this.setHeader( request.headers, 'host', origin.DomainName );
+        }
+
+        if ( !request.headers[ 'user-agent' ] )
+        {
+            this.setHeader( request.headers, 'user-agent', 'Amazon CloudFront' );
+        }
+
+        this.setHeader( request.headers, 'via', `1.1 ${this.distribution.DomainName} (CloudFront)` );
+        this.setHeader( request.headers, 'x-forwarded-for', request.clientIp );
+
+        request.origin = this.describeOrigin( origin );
+
+        return request;
+    }
+
+    /**
+     * Removes the cookies that are not forwarded to the origin
+     * @param  {Object} headers
+     * @param  {Object} cookiesConfig ForwardedValues cookies setting
+     */
+    filterCookies( headers, cookiesConfig )
+    {
+        if ( !headers.cookie || cookiesConfig.Forward === 'all' )
+        {
+            return;
+        }
+
+        const whitelist = cookiesConfig.Forward === 'whitelist'
+            ? ( cookiesConfig.WhitelistedNames.Items || [] ).map( name => getGlobRegex( name ) ) : [];
+
+        const cookies = headers.cookie.map( header => header.value ).join( '; ' ).split( /;\s*/ )
+            .filter( cookie => whitelist.some( regex => regex.test( cookie.split( '=' )[0] ) ) );
+
+        delete headers.cookie;
+
+        if ( cookies.length )
+        {
+            this.setHeader( headers, 'cookie', cookies.join( '; ' ) );
+        }
+    }
+
+    /**
+     * Describes the origin as the origin request events do
+     * @param  {Object} origin
+     * @return {Object}
+     */
+    describeOrigin( origin )
+    {
+        let customHeaders = {};
+
+        for ( let header of origin.CustomHeaders && origin.CustomHeaders.Items || [] )
+        {
+            this.setHeader( customHeaders, header.HeaderName, header.HeaderValue );
+        }
+
+        if ( origin.S3OriginConfig )
+        {
+            return {
+                s3: {
+                    authMethod   : origin.S3OriginConfig.OriginAccessIdentity ? 'origin-access-identity' : 'none',
+                    customHeaders: customHeaders,
+                    domainName   : origin.DomainName,
+                    path         : origin.OriginPath || ''
+                }
+            };
+        }
+
+        const customConfig = origin.CustomOriginConfig || {};
+
+        return {
+            custom: {
+                customHeaders   : customHeaders,
+                domainName      : origin.DomainName,
+                keepaliveTimeout: customConfig.OriginKeepaliveTimeout || 5,
+                path            : origin.OriginPath || '',
+                port            : customConfig.OriginProtocolPolicy === 'http-only' ? customConfig.HTTPPort : customConfig.HTTPSPort,
+                protocol        : customConfig.OriginProtocolPolicy === 'http-only' ? 'http' : 'https',
+                readTimeout     : customConfig.OriginReadTimeout || 30,
+                sslProtocols    : customConfig.OriginSslProtocols ? customConfig.OriginSslProtocols.Items : [ 'TLSv1.2' ]
+            }
+        };
+    }
+
+    /**
+     * Creates the response of the stub origin
+     * @return {Object}
+     */
+    createOriginResponse()
+    {
+        let response = {
+            status           : '200',
+            statusDescription: 'OK',
+            headers          : {}
+        };
+
+        this.setHeader( response.headers, 'content-type', 'text/html' );
+        this.setHeader( response.headers, 'last-modified', new Date().toUTCString() );
+        this.setHeader( response.headers, 'server', 'stub-origin' );
+
+        return response;
+    }
+
+    /**
+     * Creates the event CloudFront sends to the functions
+     * @param  {String}  eventType
+     * @param  {Object}  request
+     * @param  {Object}  response    Only for the response events
+     * @param  {Boolean} includeBody
+     * @return {Object}
+     */
+    createEvent( eventType, request, response, includeBody )
+    {
+        let cf = {
+            config: {
+                distributionDomainName: this.distribution.DomainName,
+                distributionId        : this.distribution.Id,
+                eventType             : CF_LAMBDA_EVENTS[ eventType ],
+                requestId             : Buffer.from( `${Date.now()}${Math.random()}` ).toString( 'base64' ).slice( 0, 56 )
+            },
+            request: JSON.parse( JSON.stringify( request ) )
+        };
+
+        // The body is only sent to the functions that include it
+        if ( !includeBody || CF_BODY_EVENTS.indexOf( eventType ) === -1 )
+        {
+            delete cf.request.body;
+        }
+        else if ( cf.request.body )
+        {
+            cf.request.body.action = 'read-only';
+        }
+
+        if ( response )
+        {
+            cf.response = JSON.parse( JSON.stringify( response ) );
+        }
+
+        return { Records: [ { cf: cf } ] };
+    }
+
+    /**
+     * Runs the functions for the events, passing the result of each one to the next. A response generated
+     * by a request event ends the chain, as CloudFront returns it without going to the origin
+     * @async
+     * @param  {Object} functions     Handler and includeBody of the function of each event type, if any
+     * @param  {Array}  eventTypes
+     * @param  {Object} viewerRequest
+     * @param  {Object} cacheBehavior
+     * @return {Array}  Result and problems of each function that ran
+     */
+    async run( functions, eventTypes, viewerRequest, cacheBehavior )
+    {
+        let results = [];
+        let request = viewerRequest;
+        let originRequest;
+        let response;
+
+        for ( let eventType of eventTypes )
+        {
+            const isOriginEvent  = eventType.startsWith( 'origin' );
+            const isRequestEvent = eventType.endsWith( 'Request' );
+
+            // The origin gets the request as the viewer functions left it
+            if ( isOriginEvent && !originRequest )
+            {
+                originRequest = this.createOriginRequest( request, cacheBehavior );
+            }
+
+            if ( !isRequestEvent && !response )
+            {
+                response = this.createOriginResponse();
+            }
+
+            if ( !functions[ eventType ] )
+            {
+                continue;
+            }
+
+            const currentRequest = isOriginEvent ? originRequest : request;
+            const event          = this.createEvent( eventType, currentRequest, isRequestEvent ? undefined : response,
+                functions[ eventType ].includeBody );
+
+            const result = await this.invokeHandler( functions[ eventType ].handler, event, EDGE_LIMITS[ eventType ].timeout * 1000 );
+            const input  = isRequestEvent ? event.Records[0].cf.request : event.Records[0].cf.response;
+
+            results.push( { eventType, result, errors: this.validateResult( eventType, result, input ) } );
+
+            if ( !result || typeof result !== 'object' || ( isRequestEvent && result.status !== undefined ) )
+            {
+                break;
+            }
+
+            if ( !isRequestEvent )
+            {
+                response = result;
+                continue;
+            }
+
+            // The body is kept when the function doesn't include it
+            const nextRequest = result.body || !currentRequest.body 
+                ? result : Object.assign( {}, result, { body: currentRequest.body } );
+
+            if ( isOriginEvent )
+            {
+                originRequest = nextRequest;
+            }
+            else
+            {
+                request = nextRequest;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Runs a handler, supporting both the callback and the promise styles, and fails if it runs past the timeout
+     * @async
+     * @param  {Function} handler
+     * @param  {Object}   event
+     * @param  {Number}   timeout In milliseconds
+     * @return {Object}
+     */
+    invokeHandler( handler, event, timeout )
+    {
+        const startTime = Date.now();
+
+        const context = {
+            functionName            : 'local',
+            awsRequestId            : event.Records[0].cf.config.requestId,
+            getRemainingTimeInMillis: () => Math.max( 0, timeout - ( Date.now() - startTime ) )
+        };
+
+        let timer;
+
+        const timeoutPromise = new Promise( ( resolve, reject ) =>
+        {
+            timer = setTimeout( () => reject( Error( `${this.constructor.name}: The ${event.Records[0].cf.config.eventType} `
+                + `function didn't finish within its timeout of ${timeout} ms.` ) ), timeout );
+        } );
+
+        const handlerPromise = new Promise( ( resolve, reject ) =>
+        {
+            const callback = ( err, result ) => err ? reject( err ) : resolve( result );
+            const returned = handler( event, context, callback );
+
+            if ( returned && typeof returned.then === 'function' )
+            {
+                returned.then( resolve, reject );
+            }
+        } );
+
+        // The timer would otherwise keep the process alive after the handler finished
+        return Promise.race( [ handlerPromise, timeoutPromise ] )
+            .finally( () => clearTimeout( timer ) );
+    }
+
+    /**
+     * Checks the result of a function against the limits of its event type
+     * @param  {String} eventType
+     * @param  {Object} result
+     * @param  {Object} input     Request or response the function received
+     * @return {Array}  Every problem found
+     */
+    validateResult( eventType, result, input )
+    {
+        if ( !result || typeof result !== 'object' )
+        {
+            return [ `${eventType} must return the request or a response` ];
+        }
+
+        const isRequestEvent = eventType.endsWith( 'Request' );
+        const isResponse     = result.status !== undefined || !isRequestEvent;
+        const limit          = EDGE_SIZE_LIMITS[ eventType ];
+
+        let errors = this.validateHeaders( eventType, result.headers || {},
+            // The read-only headers don't apply to the responses generated in the request events
+            isRequestEvent && isResponse ? {} : input.headers );
+
+        if ( isResponse )
+        {
+            const status = Number( result.status );
+
+            if ( !Number.isInteger( status ) || status < 100 || status > 599 )
+            {
+                errors.push( `${eventType}: ${result.status} is not a valid status code` );
+            }
+
+            const size = Buffer.byteLength( JSON.stringify( result ) );
+
+            if ( size > limit )
+            {
+                errors.push( `${eventType}: the response is ${size} bytes, over the limit of ${limit}` );
+            }
+        }
+        else
+        {
+            if ( typeof result.uri !== 'string' || !result.uri.startsWith( '/' ) )
+            {
+                errors.push( `${eventType}: the uri must start with /` );
+            }
+
+            const body = result.body;
+
+            if ( body && body.action === 'replace' )
+            {
+                const size = Buffer.from( body.data || '', body.encoding === 'base64' ? 'base64' : 'utf8' ).length;
+
+                if ( size > limit )
+                {
+                    errors.push( `${eventType}: the body is ${size} bytes, over the limit of ${limit}` );
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks the headers are well formed and the function didn't add forbidden ones or change read-only ones
+     * @param  {String} eventType
+     * @param  {Object} headers
+     * @param  {Object} inputHeaders Headers the function received, to find the changed read-only ones
+     * @return {Array}
+     */
+    validateHeaders( eventType, headers, inputHeaders )
+    {
+        let errors = [];
+
+        for ( let name in headers )
+        {
+            const values = headers[ name ];
+
+            if ( name !== name.toLowerCase() )
+            {
+                errors.push( `${eventType}: the header ${name} must be in lowercase` );
+                continue;
+            }
+
+            if ( !Array.isArray( values ) || !values.every( item => item && typeof item.value === 'string'
+                && ( item.key === undefined || item.key.toLowerCase() === name ) ) )
+            {
+                errors.push( `${eventType}: the header ${name} must be a list of { key, value } matching its name` );
+                continue;
+            }
+
+            if ( DISALLOWED_HEADERS.indexOf( name ) !== -1 || DISALLOWED_HEADER_PREFIXES.some( prefix => name.startsWith( prefix ) ) )
+            {
+                errors.push( `${eventType}: the header ${name} can't be set by the function` );
+            }
+        }
+
+        for ( let name of READ_ONLY_HEADERS[ eventType ] )
+        {
+            const before = JSON.stringify( ( inputHeaders[ name ] || [] ).map( item => item.value ) );
+            const after  = JSON.stringify( ( headers[ name ] || [] ).map( item => item.value ) );
+
+            if ( name in inputHeaders && before !== after )
+            {
+                errors.push( `${eventType}: the header ${name} is read-only` );
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Sets a header in the CloudFront format, with its name in lowercase and its original capitalization as the key
+     * @param  {Object} headers
+     * @param  {String} name
+     * @param  {String} value
+     */
+    setHeader( headers, name, value )
+    {
+        const key = name.split( '-' ).map( part => part.charAt( 0 ).toUpperCase() + part.slice( 1 ) ).join( '-' );
+
+        headers[ name.toLowerCase() ] = [ { key: key, value: String( value ) } ];
+    }
+}
+
+module.exports = EdgeInvoker;
@@ -0,0 +1,175 @@
+'use strict';
+
+const { CF_BODY_EVENTS, EDGE_LIMITS } = require('./CloudfrontDefinitions');
+
+// Lambda@Edge functions must be deployed in this region
+const EDGE_REGION = 'us-east-1';
+
+// Runtime families supported by Lambda@Edge
+const EDGE_RUNTIMES = [ 'nodejs', 'python' ];
+
+class EdgeValidator
+{
+    /**
+     * Checks all the functions referenced by the distributions can run on Lambda@Edge
+     * @param  {Array}  distributions       Distributions configuration, with their ID and behaviors
+     * @param  {Object} functionDefinitions Serverless function definitions, by function name
+     * @param  {Object} provider            Serverless provider configuration
+     * @param  {Object} lambdaFunctions     Resolved versions of the functions being deployed, by function name
+     *                                      or function:qualifier when pinned
+     * @param  {Array}  cloudfrontFunctionNames
+     * @return {Array}  Every problem found
+     */
+    validate( distributions, functionDefinitions, provider, lambdaFunctions, cloudfrontFunctionNames )
+    {
+        let errors = [];
+        let functionEvents = {};
+        let versionFunctions = {};
+
+        for ( let distribution of distributions )
+        {
+            for ( let pathPattern in distribution.behaviors )
+            {
+                const behaviorConfig = distribution.behaviors[ pathPattern ] || {};
+                const configPath     = `${distribution.id} behaviors['${pathPattern}']`;
+
+                const lambdaAssociations = behaviorConfig.lambdaAssociations || {};
+
+                for ( let eventType in lambdaAssociations )
+                {
+                    const association  = lambdaAssociations[ eventType ];
+                    const functionName = association && typeof association === 'object' ? association.function : association;
+
+                    if ( !( eventType in EDGE_LIMITS ) )
+                    {
+                        errors.push( `${configPath}.lambdaAssociations.${eventType} is not a valid event type` );
+                        continue;
+                    }
+
+                    if ( !( functionName in functionDefinitions ) )
+                    {
+                        errors.push( `${configPath}.lambdaAssociations.${eventType}: function '${functionName}' `
+                            + 'is not defined in this service' );
+                        continue;
+                    }
+
+                    if ( association.includeBody && CF_BODY_EVENTS.indexOf( eventType ) === -1 )
+                    {
+                        errors.push( `${configPath}.lambdaAssociations.${eventType}: the body can only be included `
+                            + `in ${CF_BODY_EVENTS.join( ', ' )}` );
+                    }
+
+                    if ( association.version !== undefined && association.alias !== undefined )
+                    {
+                        errors.push( `${configPath}.lambdaAssociations.${eventType}: can't be pinned to a version `
+                            + 'and an alias at the same time' );
+                        continue;
+                    }
+
+                    // Every pinned version is checked on its own
+                    const qualifier  = association.version !== undefined ? association.version : association.alias;
+                    const versionKey = qualifier !== undefined ? `${functionName}:${qualifier}` : functionName;
+
+                    versionFunctions[ versionKey ] = functionName;
+                    functionEvents[ versionKey ]   = ( functionEvents[ versionKey ] || [] ).concat( eventType );
+                }
+
+                const functionAssociations = behaviorConfig.functionAssociations || {};
+
+                for ( let eventType in functionAssociations )
+                {
+                    if ( cloudfrontFunctionNames.indexOf( functionAssociations[ eventType ] ) === -1 )
+                    {
+                        errors.push( `${configPath}.functionAssociations.${eventType}: CloudFront Function `
+                            + `'${functionAssociations[ eventType ]}' is not configured` );
+                    }
+                }
+            }
+        }
+
+        for ( let versionKey in functionEvents )
+        {
+            errors = errors.concat( this.validateFunction( versionKey, functionEvents[ versionKey ],
+                functionDefinitions[ versionFunctions[ versionKey ] ], provider, lambdaFunctions[ versionKey ] ) );
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks a single function against the Lambda@Edge constraints of the events it's associated with
+     * @param  {String} functionName Function name, with the qualifier when pinned
+     * @param  {Array}  eventTypes
+     * @param  {Object} definition Serverless function definition
+     * @param  {Object} provider   Serverless provider configuration
+     * @param  {Object} version    Resolved version metadata, if the function is being deployed
+     * @return {Array}
+     */
+    validateFunction( functionName, eventTypes, definition, provider, version )
+    {
+        let errors = [];
+
+        // The strictest limits of all the events apply
+        const memoryLimit  = Math.min.apply( null, eventTypes.map( eventType => EDGE_LIMITS[ eventType ].memory ) );
+        const timeoutLimit = Math.min.apply( null, eventTypes.map( eventType => EDGE_LIMITS[ eventType ].timeout ) );
+
+        const environment = Object.assign( {}, provider.environment, definition.environment );
+
+        if ( Object.keys( environment ).length || ( version && version.Environment && version.Environment.Variables
+            && Object.keys( version.Environment.Variables ).length ) )
+        {
+            errors.push( `${functionName}: environment variables are not supported by Lambda@Edge` );
+        }
+
+        const vpc = definition.vpc || provider.vpc;
+
+        if ( vpc && Object.keys( vpc ).length )
+        {
+            errors.push( `${functionName}: VPC configuration is not supported by Lambda@Edge` );
+        }
+
+        // Without the deployed version, the limits are checked against the serverless definition
+        const settings = version ? {
+            region : version.FunctionArn.split( ':' )[3],
+            runtime: version.Runtime,
+            memory : version.MemorySize,
+            timeout: version.Timeout
+        } : {
+            region : provider.region,
+            runtime: definition.runtime || provider.runtime,
+            memory : definition.memorySize || provider.memorySize,
+            timeout: definition.timeout || provider.timeout
+        };
+
+        if ( settings.region && settings.region !== EDGE_REGION )
+        {
+            errors.push( `${functionName}: Lambda@Edge functions must be deployed in ${EDGE_REGION}, not ${settings.region}` );
+        }
+
+        if ( settings.runtime && !EDGE_RUNTIMES.some( runtime => settings.runtime.startsWith( runtime ) ) )
+        {
+            errors.push( `${functionName}: runtime ${settings.runtime} is not supported by Lambda@Edge` );
+        }
+
+        if ( settings.memory > memoryLimit )
+        {
+            errors.push( `${functionName}: memory size ${settings.memory} MB is above the ${memoryLimit} MB limit `
+                + `for ${eventTypes.join( ', ' )}` );
+        }
+
+        if ( settings.timeout > timeoutLimit )
+        {
+            errors.push( `${functionName}: timeout ${settings.timeout}s is above the ${timeoutLimit}s limit `
+                + `for ${eventTypes.join( ', ' )}` );
+        }
+
+        if ( version && ( version.Version === '$LATEST' || version.FunctionArn.endsWith( ':$LATEST' ) ) )
+        {
+            errors.push( `${functionName}: resolves to $LATEST, Lambda@Edge requires a numbered version` );
+        }
+
+        return errors;
+    }
+}
+
+module.exports = EdgeValidator;
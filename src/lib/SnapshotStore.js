@@ -0,0 +1,104 @@
+'use strict';
+
+class SnapshotStore
+{
+    /**
+     * @param {S3Connector} s3Connector
+     * @param {String}      bucket
+     * @param {String}      prefix Key prefix under which the snapshots of every distribution are stored
+     */
+    constructor( s3Connector, bucket, prefix )
+    {
+        this.s3Connector = s3Connector;
+        this.bucket      = bucket;
+        this.prefix      = prefix;
+    }
+
+    /**
+     * Stores a snapshot of the distribution, named after the current time unless a timestamp is passed
+     * @async
+     * @param  {String} distributionId
+     * @param  {Object} snapshot
+     * @param  {String} timestamp Overwrites the snapshot with this timestamp
+     * @return {String} The snapshot timestamp
+     */
+    async save( distributionId, snapshot, timestamp )
+    {
+        // The timestamp is used as the object name, so it can't contain colons or dots
+        timestamp = timestamp || new Date().toISOString().replace( /[:.]/g, '-' );
+
+        await this.s3Connector.putJsonObject( this.bucket, this.getKey( distributionId, timestamp ),
+            Object.assign( { distributionId, timestamp }, snapshot ) );
+
+        return timestamp;
+    }
+
+    /**
+     * Lists the timestamps of all the snapshots of the distribution, from oldest to newest
+     * @async
+     * @param  {String} distributionId
+     * @return {Array}
+     */
+    async list( distributionId )
+    {
+        const keys = await this.s3Connector.listKeys( this.bucket, `${this.prefix}/${distributionId}/` );
+
+        return keys.map( key => key.split( '/' ).pop().replace( /\.json$/, '' ) ).sort();
+    }
+
+    /**
+     * Loads the newest snapshot of the distribution, or the newest one whose timestamp starts with the passed one,
+     * which can be written with colons and dots such as 2020-02-01T10:30
+     * @async
+     * @param  {String} distributionId
+     * @param  {String} timestamp
+     * @return {Object}
+     */
+    async load( distributionId, timestamp )
+    {
+        // Saved with the same replacement
+        const prefix = timestamp && String( timestamp ).replace( /[:.]/g, '-' );
+
+        const timestamps = ( await this.list( distributionId ) )
+            .filter( snapshotTimestamp => !prefix || snapshotTimestamp.startsWith( prefix ) );
+
+        if ( timestamps.length == 0 )
+        {
+            throw Error( `${this.constructor.name}: No snapshot found for ${distributionId}`
+                + ( timestamp ? ` matching ${timestamp}.` : '.' ) );
+        }
+
+        return this.s3Connector.getJsonObject( this.bucket, this.getKey( distributionId, timestamps.pop() ) );
+    }
+
+    /**
+     * Loads all the snapshots of the distribution, from oldest to newest
+     * @async
+     * @param  {String} distributionId
+     * @return {Array}
+     */
+    async loadAll( distributionId )
+    {
+        let snapshots = [];
+
+        for ( let timestamp of await this.list( distributionId ) )
+        {
+            snapshots.push( await this.s3Connector.getJsonObject( this.bucket, this.getKey( distributionId, timestamp ) ) );
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Gets the object key of a snapshot
+     * @param  {String} distributionId
+     * @param  {String} timestamp
+     * @return {String}
+     */
+    getKey( distributionId, timestamp )
+    {
+        return `${this.prefix}/${distributionId}/${timestamp}.json`;
+    }
+}
+
+module.exports = SnapshotStore;
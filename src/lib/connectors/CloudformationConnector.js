@@ -0,0 +1,76 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+
+class CloudformationConnector
+{
+    /**
+     * @param {Object} awsOptions Region and credentials of the client
+     */
+    constructor( awsOptions )
+    {
+        this.cloudformation = new AWS.CloudFormation( Object.assign( { apiVersion: '2010-05-15' }, awsOptions ) );
+    }
+
+    /**
+     * Gets the outputs of a stack, by their logical ID
+     * @async
+     * @param  {String} stackName
+     * @return {Object}
+     */
+    async getStackOutputs( stackName )
+    {
+        const data = await this.cloudformation.describeStacks( { StackName: stackName } ).promise()
+        .catch( err =>
+        {
+            console.log( `${this.constructor.name}: Couldn't get the stack ${stackName}: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        let outputs = {};
+
+        for ( let output of data.Stacks[0].Outputs || [] )
+        {
+            outputs[ output.OutputKey ] = output.OutputValue;
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Gets the value of an export of the region, going through all the pages
+     * @async
+     * @param  {String} exportName
+     * @return {String}
+     */
+    async getExportValue( exportName )
+    {
+        let nextToken;
+
+        do
+        {
+            const params = nextToken ? { NextToken: nextToken } : {};
+
+            const data = await this.cloudformation.listExports( params ).promise()
+            .catch( err =>
+            {
+                console.log( `${this.constructor.name}: Couldn't list the exports: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            const found = data.Exports.find( item => item.Name === exportName );
+
+            if ( found )
+            {
+                return found.Value;
+            }
+
+            nextToken = data.NextToken;
+        }
+        while ( nextToken );
+
+        throw Error( `${this.constructor.name}: The export ${exportName} doesn't exist.` );
+    }
+}
+
+module.exports = CloudformationConnector;
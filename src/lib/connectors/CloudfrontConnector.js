@@ -2,12 +2,7 @@
 
 const AWS = require('aws-sdk');
 
-const CF_LAMBDA_EVENTS = {
-    viewerRequest : 'viewer-request',
-    viewerResponse: 'viewer-response',
-    originRequest : 'origin-request',
-    originResponse: 'origin-response'
-};
+const { CF_LAMBDA_EVENTS, CF_FUNCTION_EVENTS, getGlobRegex } = require('../CloudfrontDefinitions');
 
 const CF_COOKIE_FORWARD_VALUES = {
     none     : 'none',
@@ -15,11 +10,75 @@ const CF_COOKIE_FORWARD_VALUES = {
     all      : 'all',
 };
 
+const CF_FUNCTION_RUNTIMES = [ 'cloudfront-js-1.0', 'cloudfront-js-2.0' ];
+
+// Cache behavior policies, with the fields and API calls used to set them and resolve their names
+const CF_POLICY_TYPES = {
+    cachePolicy: {
+        field     : 'CachePolicyId',
+        listMethod: 'listCachePolicies',
+        listKey   : 'CachePolicyList',
+        itemKey   : 'CachePolicy',
+        configKey : 'CachePolicyConfig'
+    },
+    originRequestPolicy: {
+        field     : 'OriginRequestPolicyId',
+        listMethod: 'listOriginRequestPolicies',
+        listKey   : 'OriginRequestPolicyList',
+        itemKey   : 'OriginRequestPolicy',
+        configKey : 'OriginRequestPolicyConfig'
+    },
+    responseHeadersPolicy: {
+        field     : 'ResponseHeadersPolicyId',
+        listMethod: 'listResponseHeadersPolicies',
+        listKey   : 'ResponseHeadersPolicyList',
+        itemKey   : 'ResponseHeadersPolicy',
+        configKey : 'ResponseHeadersPolicyConfig'
+    }
+};
+
+// Legacy settings replaced by the cache policies
+const FORWARDED_VALUES_SETTINGS = [ 'cookies', 'headers', 'queryString', 'queryStringCacheKeys' ];
+const TTL_SETTINGS              = { minTTL: 'MinTTL', defaultTTL: 'DefaultTTL', maxTTL: 'MaxTTL' };
+const LEGACY_CACHE_FIELDS       = [ 'ForwardedValues', 'MinTTL', 'DefaultTTL', 'MaxTTL' ];
+
+// Settings of the behavior itself, the target origin is required to create a new one
+const BEHAVIOR_SETTINGS = [ 'targetOriginId', 'viewerProtocolPolicy', 'allowedMethods' ].concat( Object.keys( TTL_SETTINGS ) );
+
+const CF_VIEWER_PROTOCOL_POLICIES = [ 'allow-all', 'https-only', 'redirect-to-https' ];
+
+// The only combinations of methods CloudFront accepts
+const CF_ALLOWED_METHODS = [
+    [ 'GET', 'HEAD' ],
+    [ 'GET', 'HEAD', 'OPTIONS' ],
+    [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'PATCH', 'POST', 'DELETE' ]
+];
+
+const POLICY_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Continuous deployment traffic: the idle session stickiness TTL in seconds when none is configured, and the prefix 
+// of the header that selects the staging distribution. The ranges of the settings are checked by the configuration schema
+const CF_STAGING_DEFAULT_TTL   = 300;
+const CF_STAGING_HEADER_PREFIX = 'aws-cf-cd-';
+
+// Errors after which the distribution update is attempted again
+const RETRYABLE_ERROR_CODES = [ 'PreconditionFailed', 'Throttling', 'ThrottlingException', 'TooManyRequestsException' ];
+
+const CF_UPDATE_MODES = {
+    replace: 'replace',
+    merge  : 'merge'
+};
+
 class CloudfrontConnector 
 {
-    constructor()
+    /**
+     * @param {Object} awsOptions Credentials of the client, the ones of the assumed role if configured
+     */
+    constructor( awsOptions )
     {
-        this.cloudfront = new AWS.CloudFront( { apiVersion: '2019-03-26' } );
+        this.cloudfront = new AWS.CloudFront( Object.assign( { apiVersion: '2020-05-31' }, awsOptions ) );
+        this.policies   = {};
+        this.tags       = {};
     }
 
     /**
@@ -44,6 +103,149 @@ class CloudfrontConnector
         return distribution;
     }
 
+    /**
+     * Lists the summaries of all the distributions of the account, going through all the pages
+     * @async
+     * @return {Array}
+     */
+    async listDistributions()
+    {
+        let distributions = [];
+        let marker;
+
+        do
+        {
+            const params = marker ? { Marker: marker } : {};
+
+            const data = await this.cloudfront.listDistributions( params ).promise()
+            .catch( err => 
+            {
+                console.log( `${this.constructor.name}: Couldn't list the CloudFront Distributions: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            distributions = distributions.concat( data.DistributionList.Items || [] );
+            marker        = data.DistributionList.NextMarker;
+        }
+        while ( marker );
+
+        return distributions;
+    }
+
+    /**
+     * Gets the ARNs of the Lambda functions associated with any cache behavior of any distribution
+     * @async
+     * @return {Array}
+     */
+    async listAssociatedLambdaArns()
+    {
+        let arns = [];
+
+        for ( let distribution of await this.listDistributions() )
+        {
+            const cacheBehaviors = [ distribution.DefaultCacheBehavior ].concat( distribution.CacheBehaviors.Items || [] );
+
+            for ( let cacheBehavior of cacheBehaviors )
+            {
+                for ( let association of cacheBehavior.LambdaFunctionAssociations.Items || [] )
+                {
+                    if ( arns.indexOf( association.LambdaFunctionARN ) === -1 )
+                    {
+                        arns.push( association.LambdaFunctionARN );
+                    }
+                }
+            }
+        }
+
+        return arns;
+    }
+
+    /**
+     * Finds the ID of the distribution that has the passed alias (CNAME)
+     * @async
+     * @param  {String} alias
+     * @return {String}
+     */
+    async findDistributionIdByAlias( alias )
+    {
+        const distributions = ( await this.listDistributions() ).filter( distribution => 
+            ( distribution.Aliases.Items || [] ).indexOf( alias ) !== -1 );
+
+        return this.getSingleDistributionId( distributions, `the alias ${alias}` );
+    }
+
+    /**
+     * Finds the ID of the distribution that has the passed tag, with any value if none is passed
+     * @async
+     * @param  {String} key
+     * @param  {String} value
+     * @return {String}
+     */
+    async findDistributionIdByTag( key, value )
+    {
+        let distributions = [];
+
+        for ( let distribution of await this.listDistributions() )
+        {
+            const tags = await this.getTags( distribution );
+
+            if ( tags.some( tag => tag.Key === key && ( value === undefined || tag.Value === value ) ) )
+            {
+                distributions.push( distribution );
+            }
+        }
+
+        return this.getSingleDistributionId( distributions, value === undefined ? `the tag ${key}` : `the tag ${key}=${value}` );
+    }
+
+    /**
+     * Gets the tags of a distribution
+     * @async
+     * @param  {Object} distribution Summary of the distribution
+     * @return {Array}
+     */
+    async getTags( distribution )
+    {
+        // The tags are only fetched once, for all the distributions looked up by tag
+        if ( this.tags[ distribution.ARN ] )
+        {
+            return this.tags[ distribution.ARN ];
+        }
+
+        const data = await this.cloudfront.listTagsForResource( { Resource: distribution.ARN } ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't get the tags of ${distribution.Id}: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        this.tags[ distribution.ARN ] = data.Tags.Items || [];
+
+        return this.tags[ distribution.ARN ];
+    }
+
+    /**
+     * Gets the ID of the only distribution found, failing if there are none or several
+     * @param  {Array}  distributions
+     * @param  {String} description   What the distributions were looked up by, for the errors
+     * @return {String}
+     */
+    getSingleDistributionId( distributions, description )
+    {
+        if ( distributions.length == 0 )
+        {
+            throw Error( `${this.constructor.name}: No distribution found with ${description}.` );
+        }
+
+        if ( distributions.length > 1 )
+        {
+            throw Error( `${this.constructor.name}: ${distributions.length} distributions found with ${description}: `
+                + `${distributions.map( distribution => distribution.Id ).join( ', ' )}.` );
+        }
+
+        return distributions[0].Id;
+    }
+
     /**
      * Updates the Cloudfront Distribution configuration
      * @async
@@ -69,143 +271,1611 @@ class CloudfrontConnector
     }
 
     /**
-     * Replaces the Distribution configuration with the new function version
-     * @param  {Object} distributionConfig
-     * @param  {Object} lambdaFunctions
-     * @param  {Object} behaviorsConfig
+     * Fetches the latest distribution, applies the changes to it and updates it, starting over with backoff 
+     * when the distribution changed in the meantime or the requests are throttled
+     * @async
+     * @param  {String}   distributionId
+     * @param  {Function} applyChanges Receives the fetched distribution to change, resolves with false to skip the update
+     * @param  {Number}   attempts
+     * @param  {Number}   delay        Time before the first retry, doubled on each one, in milliseconds
      * @return {Object}
      */
-    addNewConfigToDistribution( distributionConfig, lambdaFunctions, behaviorsConfig )
+    async updateDistributionWithRetry( distributionId, applyChanges, attempts, delay )
     {
-        function extractConfig( behaviorConfig, cacheBehavior )
+        for ( let attempt = 1; ; attempt++ )
         {
-            // If disable was passed, then delete all the lambda associations and the whitelisted cookies
-            if ( 'disable' in behaviorConfig )
+            try
             {
-                return this.setDisabledCacheBehavior( cacheBehavior );
-            }
+                let distribution = await this.getDistribution( distributionId );
 
-            // Check if the current behaviour contains lambda associations
-            if ( 'lambdaAssociations' in behaviorConfig )
-            {
-                cacheBehavior = this.setCacheBehaviorLambdaAssociations( cacheBehavior, behaviorConfig.lambdaAssociations, lambdaFunctions );
-            }
+                if ( await applyChanges( distribution ) === false )
+                {
+                    return distribution;
+                }
 
-            // Check if the current behaviour contains cookies to whitelist
-            if ( 'cookies' in behaviorConfig )
+                return await this.updateDistributionConfig( distribution );
+            }
+            catch ( err )
             {
-                cacheBehavior = this.setCacheBehaviorCookies( cacheBehavior, behaviorConfig.cookies );
+                if ( RETRYABLE_ERROR_CODES.indexOf( err.code ) === -1 || attempt >= attempts )
+                {
+                    throw err;
+                }
+
+                const retryDelay = delay * Math.pow( 2, attempt - 1 );
+
+                console.log( `Distribution ${distributionId} couldn't be updated (${err.code}), `
+                    + `retrying in ${retryDelay / 1000}s (${attempt}/${attempts})` );
+
+                await new Promise( resolve => setTimeout( resolve, retryDelay ) );
             }
+        }
+    }
 
-            return cacheBehavior;
+    /**
+     * Finds the staging distribution of a primary distribution through its continuous deployment policy
+     * @async
+     * @param  {Object} primaryDistribution
+     * @return {Object|undefined} IDs of the staging distribution and the policy, if the primary has a policy
+     */
+    async findStagingDistribution( primaryDistribution )
+    {
+        const policyId = primaryDistribution.Distribution.DistributionConfig.ContinuousDeploymentPolicyId;
+
+        if ( !policyId )
+        {
+            return undefined;
         }
 
-        if ( behaviorsConfig.DefaultCacheBehavior )
+        const policy   = await this.getContinuousDeploymentPolicy( policyId );
+        const dnsNames = policy.ContinuousDeploymentPolicy.ContinuousDeploymentPolicyConfig.StagingDistributionDnsNames.Items || [];
+
+        const stagingDistribution = ( await this.listDistributions() ).find( distribution => 
+            dnsNames.indexOf( distribution.DomainName ) !== -1 );
+
+        if ( !stagingDistribution )
         {
-            distributionConfig.DefaultCacheBehavior = 
-                extractConfig.call( this, behaviorsConfig.DefaultCacheBehavior, distributionConfig.DefaultCacheBehavior );
+            throw Error( `${this.constructor.name}: The staging distribution ${dnsNames.join( ', ' )} of `
+                + `${primaryDistribution.Distribution.Id} doesn't exist anymore.` );
         }
 
-        for ( let index in distributionConfig.CacheBehaviors.Items )
+        return { id: stagingDistribution.Id, policyId: policyId };
+    }
+
+    /**
+     * Finds a staging copy of the primary distribution that has no policy attached to the primary, 
+     * left by a previous creation that failed after copying it
+     * @async
+     * @param  {String} primaryDistributionId
+     * @return {Object|undefined}
+     */
+    async findStagingCopy( primaryDistributionId )
+    {
+        const stagingDistributions = ( await this.listDistributions() ).filter( distribution => distribution.Staging );
+
+        for ( let stagingDistribution of stagingDistributions )
         {
-            let behavior = distributionConfig.CacheBehaviors.Items[ index ];
+            const distribution = await this.getDistribution( stagingDistribution.Id );
 
-            // Check if the current behaviour matches the behaviours in the configuration
-            if ( behaviorsConfig[ behavior.PathPattern ] )
+            if ( distribution.Distribution.DistributionConfig.CallerReference.startsWith( `${primaryDistributionId}-staging-` ) )
             {
-                const behaviorConfig = behaviorsConfig[ behavior.PathPattern ];
-
-                distributionConfig.CacheBehaviors.Items[ index ] = 
-                    extractConfig.call( this, behaviorConfig, distributionConfig.CacheBehaviors.Items[ index ] );
+                return distribution;
             }
         }
 
-        return distributionConfig;
+        return undefined;
     }
 
     /**
-     * Sets the Lambda Function Associations for the Distribution's Cache Behavior
-     * @param  {Object} eventsToAssociate
-     * @param  {Array}  lambdaFunctions
-     * @return {Object}
+     * Creates a staging distribution copied from the primary one, with a disabled continuous deployment policy
+     * attached to the primary, so no traffic reaches it until it's enabled. The copy of a previous attempt is reused
+     * @async
+     * @param  {String} primaryDistributionId
+     * @param  {Object} trafficConfig
+     * @return {Object} IDs of the staging distribution and the policy
      */
-    setCacheBehaviorLambdaAssociations( cacheBehavior, eventsToAssociate, lambdaFunctions )
+    async createStagingDistribution( primaryDistributionId, trafficConfig )
     {
-        let lambdaAssociations = [];
+        let stagingDistribution = await this.findStagingCopy( primaryDistributionId );
 
-        for ( let eventType in CF_LAMBDA_EVENTS )
+        if ( stagingDistribution )
         {
-            if ( eventType in eventsToAssociate )
+            console.log( `Reusing the staging copy ${stagingDistribution.Distribution.Id} of ${primaryDistributionId}` );
+        }
+        else
+        {
+            const primaryDistribution = await this.getDistribution( primaryDistributionId );
+
+            const params = {
+                PrimaryDistributionId: primaryDistributionId,
+                Staging              : true,
+                IfMatch              : primaryDistribution.ETag,
+                // Identifies the copy if the policy can't be attached
+                CallerReference      : `${primaryDistributionId}-staging-${Date.now()}`
+            };
+
+            stagingDistribution = await this.cloudfront.copyDistribution( params ).promise()
+            .catch( err => 
             {
-                let lambdaAssociation = {
-                    LambdaFunctionARN: lambdaFunctions[ eventsToAssociate[ eventType ] ].FunctionArn,
-                    EventType        : CF_LAMBDA_EVENTS[ eventType ]
-                };
+                console.log( `${this.constructor.name}: Couldn't copy the CloudFront Distribution: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+        }
 
-                lambdaAssociations.push( lambdaAssociation );
+        const policyParams = {
+            ContinuousDeploymentPolicyConfig: {
+                StagingDistributionDnsNames: { Quantity: 1, Items: [ stagingDistribution.Distribution.DomainName ] },
+                Enabled                    : false,
+                TrafficConfig              : trafficConfig
             }
-        }
+        };
 
-        if ( lambdaAssociations.length )
+        const policy = await this.cloudfront.createContinuousDeploymentPolicy( policyParams ).promise()
+        .catch( err => 
         {
-            console.log( `Adding lambda associations for '${ this.getBehaviorNameForLog(cacheBehavior) }'` );
+            console.log( `${this.constructor.name}: Couldn't create the continuous deployment policy: ${JSON.stringify( err )}` );
+            throw err;
+        } );
 
-            cacheBehavior.LambdaFunctionAssociations.Quantity = lambdaAssociations.length;
-            cacheBehavior.LambdaFunctionAssociations.Items    = lambdaAssociations;
+        // Copying doesn't change the primary, but it's fetched again in case anything else did
+        let distribution = await this.getDistribution( primaryDistributionId );
+        distribution.Distribution.DistributionConfig.ContinuousDeploymentPolicyId = policy.ContinuousDeploymentPolicy.Id;
+
+        try
+        {
+            await this.updateDistributionConfig( distribution );
+        }
+        catch ( err )
+        {
+            // The policy is only found through the primary, so the next attempt would create another one
+            await this.deleteContinuousDeploymentPolicy( policy.ContinuousDeploymentPolicy.Id ).catch( () => {} );
+            throw err;
         }
 
-        return cacheBehavior;
+        return { id: stagingDistribution.Distribution.Id, policyId: policy.ContinuousDeploymentPolicy.Id };
     }
 
     /**
-     * Sets the Whitelisted cookies for the Distribution's Cache Behavior
-     * @param  {Object} cacheBehavior
-     * @param  {Object} behaviorCookies
+     * Deletes a continuous deployment policy that no distribution uses
+     * @async
+     * @param  {String} policyId
+     */
+    async deleteContinuousDeploymentPolicy( policyId )
+    {
+        const policy = await this.getContinuousDeploymentPolicy( policyId );
+
+        await this.cloudfront.deleteContinuousDeploymentPolicy( { Id: policyId, IfMatch: policy.ETag } ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't delete the continuous deployment policy: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+    }
+
+    /**
+     * Gets a continuous deployment policy
+     * @async
+     * @param  {String} policyId
      * @return {Object}
      */
-    setCacheBehaviorCookies( cacheBehavior, behaviorCookies )
+    async getContinuousDeploymentPolicy( policyId )
     {
-        if ( behaviorCookies.length )
+        let policy = await this.cloudfront.getContinuousDeploymentPolicy( { Id: policyId } ).promise()
+        .catch( err => 
         {
-            console.log( `Adding whitelisted cookies for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+            console.log( `${this.constructor.name}: Couldn't get the continuous deployment policy: ${JSON.stringify( err )}` );
+            throw err;
+        } );
 
-            let cookiesConfig = {
-                Forward: CF_COOKIE_FORWARD_VALUES['whitelist'],
-                WhitelistedNames: {
-                    Quantity: behaviorCookies.length,
-                    Items   : behaviorCookies
-                }
-            };
+        return policy;
+    }
 
-            cacheBehavior.ForwardedValues.Cookies = cookiesConfig;
-        }
+    /**
+     * Enables or disables a continuous deployment policy, replacing its traffic settings if passed
+     * @async
+     * @param  {String}  policyId
+     * @param  {Object}  trafficConfig
+     * @param  {Boolean} enabled
+     * @return {Object}
+     */
+    async updateContinuousDeploymentPolicy( policyId, trafficConfig, enabled )
+    {
+        const policy       = await this.getContinuousDeploymentPolicy( policyId );
+        const policyConfig = Object.assign( {}, policy.ContinuousDeploymentPolicy.ContinuousDeploymentPolicyConfig, 
+            trafficConfig ? { TrafficConfig: trafficConfig } : {}, { Enabled: enabled } );
 
-        return cacheBehavior;
+        const params = {
+            Id                              : policyId,
+            IfMatch                         : policy.ETag,
+            ContinuousDeploymentPolicyConfig: policyConfig
+        };
+
+        let updatedPolicy = await this.cloudfront.updateContinuousDeploymentPolicy( params ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't update the continuous deployment policy: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return updatedPolicy;
     }
 
     /**
-     * Adds the disabled state configuration to the Distribution cache behavior
-     * @param  {Object} cacheBehavior
+     * Copies the configuration of the staging distribution onto the primary one, which keeps its aliases and policy
+     * @async
+     * @param  {String} primaryDistributionId
+     * @param  {String} stagingDistributionId
      * @return {Object}
      */
-    setDisabledCacheBehavior( cacheBehavior )
+    async promoteStagingDistribution( primaryDistributionId, stagingDistributionId )
     {
-        let disabledCookiesConfig = {
-            Forward: CF_COOKIE_FORWARD_VALUES['none'],
-            WhitelistedNames: {
-                Quantity: 0,
-                Items   : []
-            }
+        const primaryDistribution = await this.getDistribution( primaryDistributionId );
+        const stagingDistribution = await this.getDistribution( stagingDistributionId );
+
+        const params = {
+            Id                   : primaryDistributionId,
+            StagingDistributionId: stagingDistributionId,
+            // Both distributions must be unchanged since they were fetched
+            IfMatch              : `${primaryDistribution.ETag}, ${stagingDistribution.ETag}`
         };
-        let disabledLambdaConfig = {
-            Quantity: 0,
-            Items   : []
+
+        let promotedDistribution = await this.cloudfront.updateDistributionWithStagingConfig( params ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't promote the staging distribution: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return promotedDistribution;
+    }
+
+    /**
+     * Gets the traffic settings of a continuous deployment policy from the staging configuration, 
+     * either a share of the viewers or the ones sending a header. The ranges were already checked by the schema
+     * @param  {Object} stagingConfig
+     * @return {Object}
+     */
+    getTrafficConfig( stagingConfig )
+    {
+        if ( ( stagingConfig.weight === undefined ) === ( stagingConfig.header === undefined ) )
+        {
+            throw Error( `${this.constructor.name}: The staging traffic needs either a weight or a header.` );
+        }
+
+        if ( stagingConfig.header )
+        {
+            if ( !stagingConfig.header.name.startsWith( CF_STAGING_HEADER_PREFIX ) )
+            {
+                throw Error( `${this.constructor.name}: The staging header must start with ${CF_STAGING_HEADER_PREFIX}, `
+                    + `not ${stagingConfig.header.name}.` );
+            }
+
+            return {
+                Type              : 'SingleHeader',
+                SingleHeaderConfig: { Header: stagingConfig.header.name, Value: stagingConfig.header.value }
+            };
+        }
+
+        let trafficConfig = {
+            Type              : 'SingleWeight',
+            SingleWeightConfig: { Weight: stagingConfig.weight }
         };
 
-        cacheBehavior.ForwardedValues.Cookies    = disabledCookiesConfig;
-        cacheBehavior.LambdaFunctionAssociations = disabledLambdaConfig;
+        // Keeps each viewer on the same distribution for a while
+        if ( stagingConfig.sessionStickiness )
+        {
+            const idleTTL    = stagingConfig.sessionStickiness.idleTTL || CF_STAGING_DEFAULT_TTL;
+            const maximumTTL = stagingConfig.sessionStickiness.maximumTTL || idleTTL;
 
-        return cacheBehavior;
+            if ( idleTTL > maximumTTL )
+            {
+                throw Error( `${this.constructor.name}: The idle session stickiness TTL (${idleTTL}) can't be above `
+                    + `the maximum one (${maximumTTL}).` );
+            }
+
+            trafficConfig.SingleWeightConfig.SessionStickinessConfig = { IdleTTL: idleTTL, MaximumTTL: maximumTTL };
+        }
+
+        return trafficConfig;
+    }
+
+    /**
+     * Waits until the CloudFront distribution finishes deploying
+     * @async
+     * @param  {String} distributionId
+     * @param  {Number} timeout  Maximum time to wait, in milliseconds
+     * @param  {Number} interval Time between checks, in milliseconds
+     * @return {Object}
+     */
+    async waitForDeployment( distributionId, timeout, interval )
+    {
+        return this.waitForStatus( `Distribution ${distributionId}`, 'Deployed', async () => 
+        {
+            const distribution = await this.getDistribution( distributionId );
+
+            return { status: distribution.Distribution.Status, result: distribution };
+        }, timeout, interval );
+    }
+
+    /**
+     * Creates an invalidation for the passed paths of the CloudFront distribution
+     * @async
+     * @param  {String} distributionId
+     * @param  {Array}  paths
+     * @return {Object}
+     */
+    async createInvalidation( distributionId, paths )
+    {
+        const params = {
+            DistributionId   : distributionId,
+            InvalidationBatch: {
+                CallerReference: `${Date.now()}`,
+                Paths          : {
+                    Quantity: paths.length,
+                    Items   : paths
+                }
+            }
+        };
+
+        let invalidation = await this.cloudfront.createInvalidation( params ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't create the CloudFront invalidation: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return invalidation.Invalidation;
+    }
+
+    /**
+     * Waits until the CloudFront invalidation is completed
+     * @async
+     * @param  {String} distributionId
+     * @param  {String} invalidationId
+     * @param  {Number} timeout  Maximum time to wait, in milliseconds
+     * @param  {Number} interval Time between checks, in milliseconds
+     * @return {Object}
+     */
+    async waitForInvalidation( distributionId, invalidationId, timeout, interval )
+    {
+        return this.waitForStatus( `Invalidation ${invalidationId}`, 'Completed', async () => 
+        {
+            const invalidation = await this.cloudfront.getInvalidation( { DistributionId: distributionId, Id: invalidationId } ).promise()
+            .catch( err => 
+            {
+                console.log( `${this.constructor.name}: Couldn't get the CloudFront invalidation: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            return { status: invalidation.Invalidation.Status, result: invalidation.Invalidation };
+        }, timeout, interval );
+    }
+
+    /**
+     * Polls a resource until it reaches the expected status, logging the elapsed time
+     * @async
+     * @param  {String}   description
+     * @param  {String}   expectedStatus
+     * @param  {Function} getStatus Resolves with the current status and the result to return
+     * @param  {Number}   timeout   Maximum time to wait, in milliseconds
+     * @param  {Number}   interval  Time between checks, in milliseconds
+     * @return {Object}
+     */
+    async waitForStatus( description, expectedStatus, getStatus, timeout, interval )
+    {
+        const startTime = Date.now();
+
+        while ( true )
+        {
+            const current     = await getStatus();
+            const elapsedTime = Math.round( ( Date.now() - startTime ) / 1000 );
+
+            if ( current.status === expectedStatus )
+            {
+                console.log( `${description} ${expectedStatus.toLowerCase()} after ${elapsedTime}s` );
+                return current.result;
+            }
+
+            if ( Date.now() - startTime + interval > timeout )
+            {
+                throw Error( `${this.constructor.name}: ${description} is still ${current.status} after ${elapsedTime}s, stopped waiting.` );
+            }
+
+            console.log( `${description} is ${current.status}, waiting... (${elapsedTime}s)` );
+
+            await new Promise( resolve => setTimeout( resolve, interval ) );
+        }
+    }
+
+    /**
+     * Gets a CloudFront Function description, if the function exists
+     * @async
+     * @param  {String} name
+     * @param  {String} stage
+     * @return {Object|undefined}
+     */
+    async getFunction( name, stage )
+    {
+        const params = {
+            Name : name,
+            Stage: stage || 'DEVELOPMENT'
+        };
+
+        let cloudfrontFunction = await this.cloudfront.describeFunction( params ).promise()
+        .catch( err => 
+        {
+            if ( err.code === 'NoSuchFunctionExists' )
+            {
+                return undefined;
+            }
+
+            console.log( `${this.constructor.name}: Couldn't get the CloudFront Function: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return cloudfrontFunction;
+    }
+
+    /**
+     * Creates or updates a CloudFront Function and publishes it to the LIVE stage
+     * @async
+     * @param  {String} name
+     * @param  {Buffer} code
+     * @param  {Object} functionConfig Runtime and comment of the function
+     * @return {Object}
+     */
+    async deployFunction( name, code, functionConfig )
+    {
+        const runtime = functionConfig.runtime || CF_FUNCTION_RUNTIMES[0];
+
+        if ( CF_FUNCTION_RUNTIMES.indexOf( runtime ) === -1 )
+        {
+            throw Error( `${this.constructor.name}: ${runtime} is not a valid CloudFront Function runtime.` );
+        }
+
+        const params = {
+            Name          : name,
+            FunctionCode  : code,
+            FunctionConfig: {
+                Comment: functionConfig.comment || '',
+                Runtime: runtime
+            }
+        };
+
+        const currentFunction = await this.getFunction( name );
+
+        const deployedFunction = await ( currentFunction 
+            ? this.cloudfront.updateFunction( Object.assign( { IfMatch: currentFunction.ETag }, params ) ).promise()
+            : this.cloudfront.createFunction( params ).promise() )
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't deploy the CloudFront Function: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        const publishedFunction = await this.cloudfront.publishFunction( { Name: name, IfMatch: deployedFunction.ETag } ).promise()
+        .catch( err => 
+        {
+            console.log( `${this.constructor.name}: Couldn't publish the CloudFront Function: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return publishedFunction.FunctionSummary;
+    }
+
+    /**
+     * Resolves the policy names used in the behaviors configuration to their IDs
+     * @async
+     * @param  {Object} behaviorsConfig
+     * @return {Object}
+     */
+    async resolvePolicyIds( behaviorsConfig )
+    {
+        let resolvedConfig = {};
+
+        for ( let pathPattern in behaviorsConfig )
+        {
+            let behaviorConfig = Object.assign( {}, behaviorsConfig[ pathPattern ] );
+
+            for ( let policyType in CF_POLICY_TYPES )
+            {
+                if ( policyType in behaviorConfig && !POLICY_ID_REGEX.test( behaviorConfig[ policyType ] ) )
+                {
+                    behaviorConfig[ policyType ] = await this.getPolicyId( policyType, behaviorConfig[ policyType ] );
+                }
+            }
+
+            resolvedConfig[ pathPattern ] = behaviorConfig;
+        }
+
+        return resolvedConfig;
+    }
+
+    /**
+     * Gets the ID of a managed or custom policy by its name
+     * @async
+     * @param  {String} policyType
+     * @param  {String} policyName
+     * @return {String}
+     */
+    async getPolicyId( policyType, policyName )
+    {
+        const policies = await this.listPolicies( policyType );
+        const policy   = policies.find( item => item[ CF_POLICY_TYPES[ policyType ].configKey ].Name === policyName );
+
+        if ( !policy )
+        {
+            throw Error( `${this.constructor.name}: Couldn't find the ${policyType} ${policyName}.` );
+        }
+
+        return policy.Id;
+    }
+
+    /**
+     * Lists all the policies of the passed type, going through all the pages
+     * @async
+     * @param  {String} policyType
+     * @return {Array}
+     */
+    async listPolicies( policyType )
+    {
+        // The policies are only listed once per type
+        if ( this.policies[ policyType ] )
+        {
+            return this.policies[ policyType ];
+        }
+
+        const policyDefinition = CF_POLICY_TYPES[ policyType ];
+
+        let policies = [];
+        let marker;
+
+        do
+        {
+            const params = marker ? { Marker: marker } : {};
+
+            const data = await this.cloudfront[ policyDefinition.listMethod ]( params ).promise()
+            .catch( err => 
+            {
+                console.log( `${this.constructor.name}: Couldn't list the ${policyType} policies: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            const list = data[ policyDefinition.listKey ];
+
+            policies = policies.concat( ( list.Items || [] ).map( item => item[ policyDefinition.itemKey ] ) );
+            marker   = list.NextMarker;
+        }
+        while ( marker );
+
+        this.policies[ policyType ] = policies;
+
+        return policies;
+    }
+
+    /**
+     * Replaces the Distribution configuration with the new function version
+     * @param  {Object} distributionConfig
+     * @param  {Object} lambdaFunctions
+     * @param  {Object} behaviorsConfig
+     * @param  {String} defaultMode     Update mode for the behaviors that don't set their own
+     * @param  {Object} cloudfrontFunctions
+     * @return {Object}
+     */
+    addNewConfigToDistribution( distributionConfig, lambdaFunctions, behaviorsConfig, defaultMode, cloudfrontFunctions )
+    {
+        function extractConfig( behaviorConfig, cacheBehavior )
+        {
+            // If disable was passed, then delete all the lambda associations and the whitelisted cookies
+            if ( 'disable' in behaviorConfig )
+            {
+                return this.setDisabledCacheBehavior( cacheBehavior );
+            }
+
+            const mode = this.getUpdateMode( behaviorConfig.mode || defaultMode );
+
+            // The forwarded values and TTLs can't be configured when the behavior uses a cache policy
+            const legacySettings = FORWARDED_VALUES_SETTINGS.concat( Object.keys( TTL_SETTINGS ) )
+                .filter( setting => setting in behaviorConfig );
+
+            if ( legacySettings.length && ( 'cachePolicy' in behaviorConfig || !cacheBehavior.ForwardedValues ) )
+            {
+                throw Error( `${this.constructor.name}: '${this.getBehaviorNameForLog(cacheBehavior)}' uses a cache policy, `
+                    + `${legacySettings.join( ', ' )} can't be configured.` );
+            }
+
+            // Check if the current behaviour contains its origin, protocol, methods or TTL settings
+            if ( BEHAVIOR_SETTINGS.some( setting => setting in behaviorConfig ) )
+            {
+                cacheBehavior = this.setCacheBehaviorSettings( cacheBehavior, behaviorConfig, originIds );
+            }
+
+            // Check if the current behaviour contains lambda associations
+            if ( 'lambdaAssociations' in behaviorConfig )
+            {
+                cacheBehavior = this.setCacheBehaviorLambdaAssociations( cacheBehavior, behaviorConfig.lambdaAssociations, 
+                    lambdaFunctions, mode );
+            }
+
+            // Check if the current behaviour contains lambda associations to remove
+            if ( 'removeLambdaAssociations' in behaviorConfig )
+            {
+                cacheBehavior = this.removeCacheBehaviorLambdaAssociations( cacheBehavior, behaviorConfig.removeLambdaAssociations );
+            }
+
+            // Check if the current behaviour contains CloudFront Function associations
+            if ( 'functionAssociations' in behaviorConfig )
+            {
+                cacheBehavior = this.setCacheBehaviorFunctionAssociations( cacheBehavior, behaviorConfig.functionAssociations, 
+                    cloudfrontFunctions || {}, mode );
+            }
+
+            // Check if the current behaviour contains CloudFront Function associations to remove
+            if ( 'removeFunctionAssociations' in behaviorConfig )
+            {
+                cacheBehavior = this.removeCacheBehaviorFunctionAssociations( cacheBehavior, behaviorConfig.removeFunctionAssociations );
+            }
+
+            this.validateCacheBehaviorAssociations( cacheBehavior );
+
+            // Check if the current behaviour contains cookies to forward
+            if ( 'cookies' in behaviorConfig )
+            {
+                cacheBehavior = this.setCacheBehaviorCookies( cacheBehavior, behaviorConfig.cookies, mode );
+            }
+
+            // Check if the current behaviour contains headers to forward
+            if ( 'headers' in behaviorConfig )
+            {
+                cacheBehavior = this.setCacheBehaviorHeaders( cacheBehavior, behaviorConfig.headers, mode );
+            }
+
+            // Check if the current behaviour contains query string settings
+            if ( 'queryString' in behaviorConfig || 'queryStringCacheKeys' in behaviorConfig )
+            {
+                cacheBehavior = this.setCacheBehaviorQueryString( cacheBehavior, behaviorConfig.queryString, 
+                    behaviorConfig.queryStringCacheKeys, mode );
+            }
+
+            // Check if the current behaviour contains policies to attach
+            if ( Object.keys( CF_POLICY_TYPES ).some( policyType => policyType in behaviorConfig ) )
+            {
+                cacheBehavior = this.setCacheBehaviorPolicies( cacheBehavior, behaviorConfig );
+            }
+
+            return cacheBehavior;
+        }
+
+        const originIds = ( distributionConfig.Origins.Items || [] ).map( origin => origin.Id );
+
+        if ( behaviorsConfig.DefaultCacheBehavior && behaviorsConfig.DefaultCacheBehavior.remove )
+        {
+            throw Error( `${this.constructor.name}: The DefaultCacheBehavior can't be removed.` );
+        }
+
+        let cacheBehaviors = ( distributionConfig.CacheBehaviors.Items || [] )
+            .concat( this.createMissingCacheBehaviors( distributionConfig, behaviorsConfig ) );
+
+        // Find the configuration of each behavior first, so nothing is changed if part of the configuration is wrong
+        const configKeys = cacheBehaviors.map( behavior => this.findBehaviorConfigKey( behaviorsConfig, behavior.PathPattern ) );
+
+        this.validateBehaviorConfigKeys( behaviorsConfig, configKeys, cacheBehaviors.map( behavior => behavior.PathPattern ) );
+
+        if ( behaviorsConfig.DefaultCacheBehavior )
+        {
+            distributionConfig.DefaultCacheBehavior = 
+                extractConfig.call( this, behaviorsConfig.DefaultCacheBehavior, distributionConfig.DefaultCacheBehavior );
+        }
+
+        let keptBehaviors = [];
+        let precedences   = [];
+
+        for ( let index in cacheBehaviors )
+        {
+            const behaviorConfig = configKeys[ index ] !== undefined ? behaviorsConfig[ configKeys[ index ] ] : {};
+
+            if ( behaviorConfig.remove )
+            {
+                console.log( `Removing '${this.getBehaviorNameForLog(cacheBehaviors[ index ])}'` );
+                continue;
+            }
+
+            // Check if the current behaviour matches the behaviours in the configuration
+            if ( configKeys[ index ] !== undefined )
+            {
+                cacheBehaviors[ index ] = extractConfig.call( this, behaviorConfig, cacheBehaviors[ index ] );
+            }
+
+            keptBehaviors.push( cacheBehaviors[ index ] );
+            precedences.push( behaviorConfig.precedence );
+        }
+
+        cacheBehaviors = this.sortCacheBehaviors( keptBehaviors, precedences );
+
+        distributionConfig.CacheBehaviors = {
+            Quantity: cacheBehaviors.length,
+            Items   : cacheBehaviors
+        };
+
+        return distributionConfig;
+    }
+
+    /**
+     * Creates the behaviors of the configuration that declare a target origin and don't exist yet
+     * @param  {Object} distributionConfig
+     * @param  {Object} behaviorsConfig
+     * @return {Array}  The new cache behaviors, with the default settings
+     */
+    createMissingCacheBehaviors( distributionConfig, behaviorsConfig )
+    {
+        const pathPatterns = ( distributionConfig.CacheBehaviors.Items || [] ).map( behavior => behavior.PathPattern );
+
+        return Object.keys( behaviorsConfig ).filter( configKey => configKey !== 'DefaultCacheBehavior' 
+            && behaviorsConfig[ configKey ] && !behaviorsConfig[ configKey ].match && !behaviorsConfig[ configKey ].remove
+            && 'targetOriginId' in behaviorsConfig[ configKey ] && pathPatterns.indexOf( configKey ) === -1 )
+        .map( pathPattern => 
+        {
+            console.log( `Creating 'behavior ${pathPattern}'` );
+
+            return {
+                PathPattern         : pathPattern,
+                TargetOriginId      : behaviorsConfig[ pathPattern ].targetOriginId,
+                ViewerProtocolPolicy: 'redirect-to-https',
+                ForwardedValues     : {
+                    QueryString         : false,
+                    Cookies             : { Forward: CF_COOKIE_FORWARD_VALUES['none'] },
+                    Headers             : { Quantity: 0, Items: [] },
+                    QueryStringCacheKeys: { Quantity: 0, Items: [] }
+                },
+                TrustedSigners            : { Enabled: false, Quantity: 0, Items: [] },
+                MinTTL                    : 0,
+                DefaultTTL                : 86400,
+                MaxTTL                    : 31536000,
+                AllowedMethods            : this.getAllowedMethods( undefined, [ 'GET', 'HEAD' ] ),
+                SmoothStreaming           : false,
+                Compress                  : false,
+                LambdaFunctionAssociations: { Quantity: 0, Items: [] },
+                FunctionAssociations      : { Quantity: 0, Items: [] },
+                FieldLevelEncryptionId    : ''
+            };
+        } );
+    }
+
+    /**
+     * Moves the behaviors with a configured precedence to their position, keeping the order of the rest
+     * @param  {Array} cacheBehaviors
+     * @param  {Array} precedences    Configured precedence of each behavior, starting at 0
+     * @return {Array}
+     */
+    sortCacheBehaviors( cacheBehaviors, precedences )
+    {
+        let sortedBehaviors = cacheBehaviors.filter( ( cacheBehavior, index ) => precedences[ index ] === undefined );
+
+        const positionedBehaviors = cacheBehaviors.map( ( cacheBehavior, index ) => ( { cacheBehavior, precedence: precedences[ index ] } ) )
+            .filter( item => item.precedence !== undefined )
+            .sort( ( first, second ) => first.precedence - second.precedence );
+
+        for ( let item of positionedBehaviors )
+        {
+            if ( !Number.isInteger( item.precedence ) || item.precedence < 0 )
+            {
+                throw Error( `${this.constructor.name}: The precedence of '${this.getBehaviorNameForLog(item.cacheBehavior)}' `
+                    + `must be a number starting at 0, not ${item.precedence}.` );
+            }
+
+            // Inserting them from the lowest precedence keeps the positions of the previous ones
+            sortedBehaviors.splice( item.precedence, 0, item.cacheBehavior );
+        }
+
+        sortedBehaviors.forEach( ( cacheBehavior, index ) => 
+        {
+            const previousIndex = cacheBehaviors.indexOf( cacheBehavior );
+
+            if ( previousIndex !== index )
+            {
+                console.log( `Moving '${this.getBehaviorNameForLog(cacheBehavior)}' from precedence ${previousIndex} to ${index}` );
+            }
+        } );
+
+        return sortedBehaviors;
+    }
+
+    /**
+     * Finds the configuration key for a cache behavior, either its exact path pattern 
+     * or the first configuration whose match pattern matches it
+     * @param  {Object} behaviorsConfig
+     * @param  {String} pathPattern
+     * @return {String|undefined}
+     */
+    findBehaviorConfigKey( behaviorsConfig, pathPattern )
+    {
+        if ( behaviorsConfig[ pathPattern ] && !behaviorsConfig[ pathPattern ].match )
+        {
+            return pathPattern;
+        }
+
+        return Object.keys( behaviorsConfig ).find( configKey => behaviorsConfig[ configKey ] 
+            && behaviorsConfig[ configKey ].match 
+            && this.matchesPathPattern( behaviorsConfig[ configKey ].match, pathPattern ) );
+    }
+
+    /**
+     * Checks if a path pattern matches a glob, or a regex passed as { regex }
+     * @param  {String|Object} match
+     * @param  {String}        pathPattern
+     * @return {Boolean}
+     */
+    matchesPathPattern( match, pathPattern )
+    {
+        if ( typeof match === 'object' )
+        {
+            return new RegExp( match.regex ).test( pathPattern );
+        }
+
+        return getGlobRegex( match ).test( pathPattern );
+    }
+
+    /**
+     * Checks every key of the behaviors configuration is used, suggesting the closest path pattern otherwise
+     * @param  {Object} behaviorsConfig
+     * @param  {Array}  usedKeys     Configuration key used by each cache behavior
+     * @param  {Array}  pathPatterns
+     */
+    validateBehaviorConfigKeys( behaviorsConfig, usedKeys, pathPatterns )
+    {
+        let errors = [];
+
+        for ( let configKey in behaviorsConfig )
+        {
+            // Behaviors to remove may have been removed already
+            if ( configKey === 'DefaultCacheBehavior' || usedKeys.indexOf( configKey ) !== -1 
+                || ( behaviorsConfig[ configKey ] && behaviorsConfig[ configKey ].remove ) )
+            {
+                continue;
+            }
+
+            const match = behaviorsConfig[ configKey ] && behaviorsConfig[ configKey ].match;
+
+            if ( match )
+            {
+                errors.push( `'${configKey}' (match ${typeof match === 'object' ? `regex ${match.regex}` : match})` );
+                continue;
+            }
+
+            const suggestion = this.findClosestPathPattern( configKey, pathPatterns );
+            errors.push( suggestion ? `'${configKey}' (did you mean '${suggestion}'?)` : `'${configKey}'` );
+        }
+
+        if ( errors.length )
+        {
+            throw Error( `${this.constructor.name}: ${errors.length} behavior(s) in the configuration don't match any `
+                + `cache behavior:\n  - ${errors.join( '\n  - ' )}` );
+        }
+    }
+
+    /**
+     * Finds the path pattern closest to the passed one, if any is close enough to be a typo
+     * @param  {String} configKey
+     * @param  {Array}  pathPatterns
+     * @return {String|undefined}
+     */
+    findClosestPathPattern( configKey, pathPatterns )
+    {
+        const maxDistance = Math.max( 2, Math.floor( configKey.length / 3 ) );
+
+        let closest;
+        let closestDistance = Infinity;
+
+        for ( let pathPattern of pathPatterns.concat( 'DefaultCacheBehavior' ) )
+        {
+            const distance = this.getEditDistance( configKey, pathPattern );
+
+            if ( distance <= maxDistance && distance < closestDistance )
+            {
+                closest         = pathPattern;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Gets the Levenshtein distance between two strings
+     * @param  {String} source
+     * @param  {String} target
+     * @return {Number}
+     */
+    getEditDistance( source, target )
+    {
+        let previousRow = Array.from( { length: target.length + 1 }, ( value, index ) => index );
+
+        for ( let i = 1; i <= source.length; i++ )
+        {
+            let currentRow = [ i ];
+
+            for ( let j = 1; j <= target.length; j++ )
+            {
+                const cost = source[ i - 1 ] === target[ j - 1 ] ? 0 : 1;
+
+                currentRow[ j ] = Math.min( previousRow[ j ] + 1, currentRow[ j - 1 ] + 1, previousRow[ j - 1 ] + cost );
+            }
+
+            previousRow = currentRow;
+        }
+
+        return previousRow[ target.length ];
+    }
+
+    /**
+     * Creates a snapshot of the Lambda and CloudFront Function associations of the passed behaviors
+     * @param  {Object} distributionConfig
+     * @param  {Array}  behaviorNames Path patterns, or DefaultCacheBehavior
+     * @return {Object}
+     */
+    createSnapshot( distributionConfig, behaviorNames )
+    {
+        let behaviors = {};
+
+        for ( let behaviorName of behaviorNames )
+        {
+            const cacheBehavior = this.getCacheBehavior( distributionConfig, behaviorName );
+
+            // Behaviors that don't exist yet have nothing to restore
+            if ( !cacheBehavior )
+            {
+                continue;
+            }
+
+            behaviors[ behaviorName ] = {
+                LambdaFunctionAssociations: cacheBehavior.LambdaFunctionAssociations,
+                FunctionAssociations      : cacheBehavior.FunctionAssociations
+            };
+        }
+
+        return { behaviors };
+    }
+
+    /**
+     * Restores the associations saved in a snapshot to the Distribution configuration
+     * @param  {Object} distributionConfig
+     * @param  {Object} snapshot
+     * @return {Object}
+     */
+    restoreSnapshot( distributionConfig, snapshot )
+    {
+        for ( let behaviorName in snapshot.behaviors )
+        {
+            let cacheBehavior = this.getCacheBehavior( distributionConfig, behaviorName );
+
+            if ( !cacheBehavior )
+            {
+                console.log( `Skipping '${behaviorName}', the behavior doesn't exist anymore` );
+                continue;
+            }
+
+            console.log( `Restoring associations for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+            const savedBehavior = snapshot.behaviors[ behaviorName ];
+
+            cacheBehavior.LambdaFunctionAssociations = savedBehavior.LambdaFunctionAssociations;
+
+            // The behavior had no CloudFront Functions when the snapshot was taken
+            if ( savedBehavior.FunctionAssociations || cacheBehavior.FunctionAssociations )
+            {
+                cacheBehavior.FunctionAssociations = savedBehavior.FunctionAssociations || { Quantity: 0, Items: [] };
+            }
+        }
+
+        return distributionConfig;
+    }
+
+    /**
+     * Removes the associations of the passed functions from the configured behaviors, whatever version they use
+     * @param  {Object} distributionConfig
+     * @param  {Object} behaviorsConfig
+     * @param  {Array}  functionNames      Names of the functions in AWS
+     * @return {Object}
+     */
+    detachLambdaFunctions( distributionConfig, behaviorsConfig, functionNames )
+    {
+        const cacheBehaviors = [ distributionConfig.DefaultCacheBehavior ].concat( distributionConfig.CacheBehaviors.Items || [] );
+
+        for ( let cacheBehavior of cacheBehaviors )
+        {
+            const isConfigured = cacheBehavior.PathPattern === undefined 
+                ? 'DefaultCacheBehavior' in behaviorsConfig
+                : this.findBehaviorConfigKey( behaviorsConfig, cacheBehavior.PathPattern ) !== undefined;
+
+            if ( !isConfigured )
+            {
+                continue;
+            }
+
+            // arn:aws:lambda:region:account:function:name:version
+            const lambdaAssociations = ( cacheBehavior.LambdaFunctionAssociations.Items || [] ).filter( association => 
+                functionNames.indexOf( association.LambdaFunctionARN.split( ':' )[6] ) === -1 );
+
+            if ( lambdaAssociations.length == cacheBehavior.LambdaFunctionAssociations.Quantity )
+            {
+                continue;
+            }
+
+            console.log( `Detaching lambda associations from '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+            cacheBehavior.LambdaFunctionAssociations.Quantity = lambdaAssociations.length;
+            cacheBehavior.LambdaFunctionAssociations.Items    = lambdaAssociations;
+        }
+
+        return distributionConfig;
+    }
+
+    /**
+     * Gets a Cache Behavior of the Distribution configuration by its path pattern
+     * @param  {Object} distributionConfig
+     * @param  {String} behaviorName Path pattern, or DefaultCacheBehavior
+     * @return {Object|undefined}
+     */
+    getCacheBehavior( distributionConfig, behaviorName )
+    {
+        if ( behaviorName === 'DefaultCacheBehavior' )
+        {
+            return distributionConfig.DefaultCacheBehavior;
+        }
+
+        return ( distributionConfig.CacheBehaviors.Items || [] ).find( behavior => behavior.PathPattern === behaviorName );
+    }
+
+    /**
+     * Sets the Lambda Function Associations for the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Object} eventsToAssociate
+     * @param  {Object} lambdaFunctions   Resolved versions, by function name or function:qualifier when pinned
+     * @param  {String} mode
+     * @return {Object}
+     */
+    setCacheBehaviorLambdaAssociations( cacheBehavior, eventsToAssociate, lambdaFunctions, mode )
+    {
+        let lambdaAssociations = [];
+
+        // When merging, the associations for the event types that are not configured are kept
+        if ( mode === CF_UPDATE_MODES.merge )
+        {
+            const configuredEvents = Object.keys( eventsToAssociate ).map( eventType => CF_LAMBDA_EVENTS[ eventType ] );
+
+            lambdaAssociations = ( cacheBehavior.LambdaFunctionAssociations.Items || [] ).filter( association => 
+                configuredEvents.indexOf( association.EventType ) === -1 );
+        }
+
+        for ( let eventType in CF_LAMBDA_EVENTS )
+        {
+            if ( eventType in eventsToAssociate )
+            {
+                const associationConfig = this.parseLambdaAssociation( eventsToAssociate[ eventType ] );
+
+                // Functions that are not being deployed keep the association already in the behavior
+                if ( !( associationConfig.versionKey in lambdaFunctions ) )
+                {
+                    const currentAssociation = this.getLambdaAssociation( cacheBehavior, CF_LAMBDA_EVENTS[ eventType ] );
+
+                    if ( currentAssociation )
+                    {
+                        lambdaAssociations.push( currentAssociation );
+                    }
+                    continue;
+                }
+
+                let lambdaAssociation = {
+                    LambdaFunctionARN: lambdaFunctions[ associationConfig.versionKey ].FunctionArn,
+                    EventType        : CF_LAMBDA_EVENTS[ eventType ],
+                    IncludeBody      : associationConfig.includeBody
+                };
+
+                lambdaAssociations.push( lambdaAssociation );
+            }
+        }
+
+        if ( lambdaAssociations.length )
+        {
+            console.log( `Adding lambda associations for '${ this.getBehaviorNameForLog(cacheBehavior) }'` );
+
+            const eventsOrder = Object.values( CF_LAMBDA_EVENTS );
+            lambdaAssociations.sort( ( a, b ) => eventsOrder.indexOf( a.EventType ) - eventsOrder.indexOf( b.EventType ) );
+
+            cacheBehavior.LambdaFunctionAssociations.Quantity = lambdaAssociations.length;
+            cacheBehavior.LambdaFunctionAssociations.Items    = lambdaAssociations;
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Parses a Lambda association from the configuration, either the function name or an object 
+     * with the function, whether to include the body, and the version or alias to pin it to
+     * @param  {String|Object} association
+     * @return {Object} The function name, includeBody, qualifier and the key of its resolved version
+     */
+    parseLambdaAssociation( association )
+    {
+        if ( typeof association === 'string' )
+        {
+            return { functionName: association, includeBody: false, versionKey: association };
+        }
+
+        if ( !association || typeof association.function !== 'string' )
+        {
+            throw Error( `${this.constructor.name}: Lambda associations must be a function name or an object with its function.` );
+        }
+
+        if ( 'version' in association && 'alias' in association )
+        {
+            throw Error( `${this.constructor.name}: The association of ${association.function} can't be pinned `
+                + 'to a version and an alias at the same time.' );
+        }
+
+        const qualifier = 'version' in association ? String( association.version ) : association.alias;
+
+        return {
+            functionName: association.function,
+            includeBody : association.includeBody === true,
+            qualifier   : qualifier,
+            versionKey  : qualifier ? `${association.function}:${qualifier}` : association.function
+        };
+    }
+
+    /**
+     * Removes the Lambda Function Associations of the passed event types from the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Array}  eventTypes
+     * @return {Object}
+     */
+    removeCacheBehaviorLambdaAssociations( cacheBehavior, eventTypes )
+    {
+        const eventsToRemove = eventTypes.map( eventType => 
+        {
+            if ( !( eventType in CF_LAMBDA_EVENTS ) )
+            {
+                throw Error( `${this.constructor.name}: ${eventType} is not a valid event type.` );
+            }
+
+            return CF_LAMBDA_EVENTS[ eventType ];
+        } );
+
+        console.log( `Removing lambda associations for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        const lambdaAssociations = ( cacheBehavior.LambdaFunctionAssociations.Items || [] ).filter( association => 
+            eventsToRemove.indexOf( association.EventType ) === -1 );
+
+        cacheBehavior.LambdaFunctionAssociations.Quantity = lambdaAssociations.length;
+        cacheBehavior.LambdaFunctionAssociations.Items    = lambdaAssociations;
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Sets the CloudFront Function Associations for the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Object} eventsToAssociate
+     * @param  {Object} cloudfrontFunctions
+     * @param  {String} mode
+     * @return {Object}
+     */
+    setCacheBehaviorFunctionAssociations( cacheBehavior, eventsToAssociate, cloudfrontFunctions, mode )
+    {
+        const currentAssociations = cacheBehavior.FunctionAssociations ? cacheBehavior.FunctionAssociations.Items || [] : [];
+        let functionAssociations  = [];
+
+        // When merging, the associations for the event types that are not configured are kept
+        if ( mode === CF_UPDATE_MODES.merge )
+        {
+            const configuredEvents = Object.keys( eventsToAssociate ).map( eventType => CF_FUNCTION_EVENTS[ eventType ] );
+
+            functionAssociations = currentAssociations.filter( association => 
+                configuredEvents.indexOf( association.EventType ) === -1 );
+        }
+
+        for ( let eventType in eventsToAssociate )
+        {
+            if ( !( eventType in CF_FUNCTION_EVENTS ) )
+            {
+                throw Error( `${this.constructor.name}: CloudFront Functions can't be associated with ${eventType}.` );
+            }
+
+            if ( !( eventsToAssociate[ eventType ] in cloudfrontFunctions ) )
+            {
+                throw Error( `${this.constructor.name}: ${eventsToAssociate[ eventType ]} is not a configured CloudFront Function.` );
+            }
+
+            functionAssociations.push( {
+                FunctionARN: cloudfrontFunctions[ eventsToAssociate[ eventType ] ].FunctionARN,
+                EventType  : CF_FUNCTION_EVENTS[ eventType ]
+            } );
+        }
+
+        console.log( `Adding CloudFront Function associations for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        const eventsOrder = Object.values( CF_FUNCTION_EVENTS );
+        functionAssociations.sort( ( a, b ) => eventsOrder.indexOf( a.EventType ) - eventsOrder.indexOf( b.EventType ) );
+
+        cacheBehavior.FunctionAssociations = {
+            Quantity: functionAssociations.length,
+            Items   : functionAssociations
+        };
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Removes the CloudFront Function Associations of the passed event types from the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Array}  eventTypes
+     * @return {Object}
+     */
+    removeCacheBehaviorFunctionAssociations( cacheBehavior, eventTypes )
+    {
+        const eventsToRemove = eventTypes.map( eventType => 
+        {
+            if ( !( eventType in CF_FUNCTION_EVENTS ) )
+            {
+                throw Error( `${this.constructor.name}: ${eventType} is not a valid CloudFront Function event type.` );
+            }
+
+            return CF_FUNCTION_EVENTS[ eventType ];
+        } );
+
+        console.log( `Removing CloudFront Function associations for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        const currentAssociations  = cacheBehavior.FunctionAssociations ? cacheBehavior.FunctionAssociations.Items || [] : [];
+        const functionAssociations = currentAssociations.filter( association => 
+            eventsToRemove.indexOf( association.EventType ) === -1 );
+
+        cacheBehavior.FunctionAssociations = {
+            Quantity: functionAssociations.length,
+            Items   : functionAssociations
+        };
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Checks the Cache Behavior doesn't have a CloudFront Function and a Lambda function on the same event
+     * @param  {Object} cacheBehavior
+     */
+    validateCacheBehaviorAssociations( cacheBehavior )
+    {
+        const functionAssociations = cacheBehavior.FunctionAssociations ? cacheBehavior.FunctionAssociations.Items || [] : [];
+        const lambdaAssociations   = cacheBehavior.LambdaFunctionAssociations.Items || [];
+
+        for ( let association of functionAssociations )
+        {
+            if ( lambdaAssociations.some( lambdaAssociation => lambdaAssociation.EventType === association.EventType ) )
+            {
+                throw Error( `${this.constructor.name}: '${this.getBehaviorNameForLog(cacheBehavior)}' can't have a CloudFront ` 
+                    + `Function and a Lambda function on ${association.EventType}.` );
+            }
+        }
+    }
+
+    /**
+     * Gets the Lambda Function Association of the Cache Behavior for the passed event type
+     * @param  {Object} cacheBehavior
+     * @param  {String} eventType
+     * @return {Object|undefined}
+     */
+    getLambdaAssociation( cacheBehavior, eventType )
+    {
+        const associations = cacheBehavior.LambdaFunctionAssociations.Items || [];
+
+        return associations.find( association => association.EventType === eventType );
+    }
+
+    /**
+     * Sets the forwarded cookies for the Distribution's Cache Behavior, either a list of cookies 
+     * to whitelist or the all/none forward values
+     * @param  {Object}       cacheBehavior
+     * @param  {Array|String} behaviorCookies
+     * @param  {String}       mode
+     * @return {Object}
+     */
+    setCacheBehaviorCookies( cacheBehavior, behaviorCookies, mode )
+    {
+        if ( typeof behaviorCookies === 'string' )
+        {
+            if ( !( behaviorCookies in CF_COOKIE_FORWARD_VALUES ) || behaviorCookies === 'whitelist' )
+            {
+                throw Error( `${this.constructor.name}: ${behaviorCookies} is not a valid cookies forward value.` );
+            }
+
+            console.log( `Forwarding ${behaviorCookies} cookies for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+            cacheBehavior.ForwardedValues.Cookies = { 
+                Forward: CF_COOKIE_FORWARD_VALUES[ behaviorCookies ] 
+            };
+
+            return cacheBehavior;
+        }
+
+        if ( behaviorCookies.length )
+        {
+            console.log( `Adding whitelisted cookies for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+            const currentConfig  = cacheBehavior.ForwardedValues.Cookies;
+            const currentCookies = currentConfig.Forward === CF_COOKIE_FORWARD_VALUES['whitelist'] 
+                && currentConfig.WhitelistedNames ? currentConfig.WhitelistedNames.Items : [];
+
+            const cookies = this.mergeItems( currentCookies, behaviorCookies, mode );
+
+            let cookiesConfig = {
+                Forward: CF_COOKIE_FORWARD_VALUES['whitelist'],
+                WhitelistedNames: {
+                    Quantity: cookies.length,
+                    Items   : cookies
+                }
+            };
+
+            cacheBehavior.ForwardedValues.Cookies = cookiesConfig;
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Sets the forwarded headers for the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Array}  behaviorHeaders
+     * @param  {String} mode
+     * @return {Object}
+     */
+    setCacheBehaviorHeaders( cacheBehavior, behaviorHeaders, mode )
+    {
+        console.log( `Setting forwarded headers for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        const currentHeaders = cacheBehavior.ForwardedValues.Headers || { Items: [] };
+        const headers        = this.mergeItems( currentHeaders.Items || [], behaviorHeaders, mode );
+
+        cacheBehavior.ForwardedValues.Headers = {
+            Quantity: headers.length,
+            Items   : headers
+        };
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Sets the query string forwarding and its cache keys for the Distribution's Cache Behavior
+     * @param  {Object}  cacheBehavior
+     * @param  {Boolean} queryString  Whether to forward the query string, unchanged if undefined
+     * @param  {Array}   cacheKeys    Query string parameters to cache on, unchanged if undefined
+     * @param  {String}  mode
+     * @return {Object}
+     */
+    setCacheBehaviorQueryString( cacheBehavior, queryString, cacheKeys, mode )
+    {
+        console.log( `Setting query string forwarding for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        if ( queryString !== undefined )
+        {
+            cacheBehavior.ForwardedValues.QueryString = queryString;
+        }
+
+        // The cache keys are only used while the query string is forwarded
+        if ( queryString === false && cacheKeys === undefined )
+        {
+            cacheBehavior.ForwardedValues.QueryStringCacheKeys = { Quantity: 0, Items: [] };
+        }
+        else if ( cacheKeys !== undefined )
+        {
+            const currentKeys = cacheBehavior.ForwardedValues.QueryStringCacheKeys || { Items: [] };
+            const keys        = this.mergeItems( currentKeys.Items || [], cacheKeys, mode );
+
+            if ( keys.length && !cacheBehavior.ForwardedValues.QueryString )
+            {
+                throw Error( `${this.constructor.name}: The query string cache keys of '${this.getBehaviorNameForLog(cacheBehavior)}' ` 
+                    + 'require the query string to be forwarded.' );
+            }
+
+            cacheBehavior.ForwardedValues.QueryStringCacheKeys = {
+                Quantity: keys.length,
+                Items   : keys
+            };
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Sets the cache, origin request and response headers policies for the Distribution's Cache Behavior. 
+     * The policies must be already resolved to their IDs.
+     * @param  {Object} cacheBehavior
+     * @param  {Object} behaviorConfig
+     * @return {Object}
+     */
+    setCacheBehaviorPolicies( cacheBehavior, behaviorConfig )
+    {
+        console.log( `Setting policies for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        for ( let policyType in CF_POLICY_TYPES )
+        {
+            if ( policyType in behaviorConfig )
+            {
+                cacheBehavior[ CF_POLICY_TYPES[ policyType ].field ] = behaviorConfig[ policyType ];
+            }
+        }
+
+        // The cache policy replaces the legacy forwarded values and TTLs
+        if ( 'cachePolicy' in behaviorConfig )
+        {
+            LEGACY_CACHE_FIELDS.forEach( field => delete cacheBehavior[ field ] );
+        }
+
+        if ( cacheBehavior.OriginRequestPolicyId && !cacheBehavior.CachePolicyId )
+        {
+            throw Error( `${this.constructor.name}: '${this.getBehaviorNameForLog(cacheBehavior)}' requires a cache policy `
+                + 'to use an origin request policy.' );
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Sets the target origin, viewer protocol policy, allowed methods and TTLs of the Distribution's Cache Behavior
+     * @param  {Object} cacheBehavior
+     * @param  {Object} behaviorConfig
+     * @param  {Array}  originIds      IDs of the origins of the distribution
+     * @return {Object}
+     */
+    setCacheBehaviorSettings( cacheBehavior, behaviorConfig, originIds )
+    {
+        console.log( `Setting origin and cache settings for '${this.getBehaviorNameForLog(cacheBehavior)}'` );
+
+        if ( 'targetOriginId' in behaviorConfig )
+        {
+            if ( originIds.indexOf( behaviorConfig.targetOriginId ) === -1 )
+            {
+                throw Error( `${this.constructor.name}: The origin '${behaviorConfig.targetOriginId}' of `
+                    + `'${this.getBehaviorNameForLog(cacheBehavior)}' doesn't exist, use one of: ${originIds.join( ', ' )}.` );
+            }
+
+            cacheBehavior.TargetOriginId = behaviorConfig.targetOriginId;
+        }
+
+        if ( 'viewerProtocolPolicy' in behaviorConfig )
+        {
+            if ( CF_VIEWER_PROTOCOL_POLICIES.indexOf( behaviorConfig.viewerProtocolPolicy ) === -1 )
+            {
+                throw Error( `${this.constructor.name}: '${behaviorConfig.viewerProtocolPolicy}' is not a valid viewer `
+                    + `protocol policy, use one of: ${CF_VIEWER_PROTOCOL_POLICIES.join( ', ' )}.` );
+            }
+
+            cacheBehavior.ViewerProtocolPolicy = behaviorConfig.viewerProtocolPolicy;
+        }
+
+        if ( 'allowedMethods' in behaviorConfig )
+        {
+            cacheBehavior.AllowedMethods = this.getAllowedMethods( cacheBehavior.AllowedMethods, behaviorConfig.allowedMethods );
+        }
+
+        for ( let setting in TTL_SETTINGS )
+        {
+            if ( setting in behaviorConfig )
+            {
+                cacheBehavior[ TTL_SETTINGS[ setting ] ] = behaviorConfig[ setting ];
+            }
+        }
+
+        if ( cacheBehavior.MinTTL > cacheBehavior.DefaultTTL || cacheBehavior.DefaultTTL > cacheBehavior.MaxTTL )
+        {
+            throw Error( `${this.constructor.name}: The TTLs of '${this.getBehaviorNameForLog(cacheBehavior)}' must be `
+                + 'minTTL <= defaultTTL <= maxTTL.' );
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Gets the allowed methods setting, caching OPTIONS only if it was cached before
+     * @param  {Object} currentMethods Current AllowedMethods setting, if any
+     * @param  {Array}  methods
+     * @return {Object}
+     */
+    getAllowedMethods( currentMethods, methods )
+    {
+        methods = methods.map( method => method.toUpperCase() );
+
+        const allowedMethods = CF_ALLOWED_METHODS.find( combination => combination.length === methods.length 
+            && methods.every( method => combination.indexOf( method ) !== -1 ) );
+
+        if ( !allowedMethods )
+        {
+            throw Error( `${this.constructor.name}: ${methods.join( ', ' )} is not a valid combination of allowed methods, `
+                + `use one of: ${CF_ALLOWED_METHODS.map( combination => combination.join( ', ' ) ).join( ' / ' )}.` );
+        }
+
+        const currentCachedMethods = currentMethods && currentMethods.CachedMethods 
+            ? currentMethods.CachedMethods.Items || [] : [];
+        const cachedMethods = CF_ALLOWED_METHODS[1].filter( method => method !== 'OPTIONS' 
+            || ( allowedMethods.indexOf( method ) !== -1 && currentCachedMethods.indexOf( method ) !== -1 ) );
+
+        return {
+            Quantity     : allowedMethods.length,
+            Items        : allowedMethods,
+            CachedMethods: {
+                Quantity: cachedMethods.length,
+                Items   : cachedMethods
+            }
+        };
+    }
+
+    /**
+     * Combines the current items of a list with the configured ones, depending on the update mode
+     * @param  {Array}  currentItems
+     * @param  {Array}  newItems
+     * @param  {String} mode
+     * @return {Array}
+     */
+    mergeItems( currentItems, newItems, mode )
+    {
+        if ( mode !== CF_UPDATE_MODES.merge )
+        {
+            return newItems;
+        }
+
+        return currentItems.concat( newItems.filter( item => currentItems.indexOf( item ) === -1 ) );
+    }
+
+    /**
+     * Adds the disabled state configuration to the Distribution cache behavior
+     * @param  {Object} cacheBehavior
+     * @return {Object}
+     */
+    setDisabledCacheBehavior( cacheBehavior )
+    {
+        let disabledCookiesConfig = {
+            Forward: CF_COOKIE_FORWARD_VALUES['none'],
+            WhitelistedNames: {
+                Quantity: 0,
+                Items   : []
+            }
+        };
+        let disabledLambdaConfig = {
+            Quantity: 0,
+            Items   : []
+        };
+
+        // Behaviors using a cache policy don't have forwarded values
+        if ( cacheBehavior.ForwardedValues )
+        {
+            cacheBehavior.ForwardedValues.Cookies = disabledCookiesConfig;
+        }
+
+        cacheBehavior.LambdaFunctionAssociations = disabledLambdaConfig;
+
+        if ( cacheBehavior.FunctionAssociations )
+        {
+            cacheBehavior.FunctionAssociations = { Quantity: 0, Items: [] };
+        }
+
+        return cacheBehavior;
+    }
+
+    /**
+     * Gets the update mode, replacing the whole configuration by default
+     * @param  {String} mode
+     * @return {String}
+     */
+    getUpdateMode( mode )
+    {
+        if ( mode === undefined )
+        {
+            return CF_UPDATE_MODES.replace;
+        }
+
+        if ( !( mode in CF_UPDATE_MODES ) )
+        {
+            throw Error( `${this.constructor.name}: ${mode} is not a valid update mode.` );
+        }
+
+        return CF_UPDATE_MODES[ mode ];
     }
 
     /**
@@ -0,0 +1,106 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+
+class S3Connector
+{
+    /**
+     * @param {Object} awsOptions Region and credentials of the client
+     */
+    constructor( awsOptions )
+    {
+        this.s3 = new AWS.S3( Object.assign( { apiVersion: '2006-03-01' }, awsOptions ) );
+    }
+
+    /**
+     * Stores a JSON object in a bucket
+     * @async
+     * @param  {String} bucket
+     * @param  {String} key
+     * @param  {Object} content
+     * @return {Object}
+     */
+    async putJsonObject( bucket, key, content )
+    {
+        const params = {
+            Bucket     : bucket,
+            Key        : key,
+            Body       : JSON.stringify( content, null, 2 ),
+            ContentType: 'application/json'
+        };
+
+        let object = await this.s3.putObject( params ).promise()
+        .catch( err =>
+        {
+            console.log( `${this.constructor.name}: Couldn't store the object ${key}: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return object;
+    }
+
+    /**
+     * Gets a JSON object from a bucket
+     * @async
+     * @param  {String} bucket
+     * @param  {String} key
+     * @return {Object}
+     */
+    async getJsonObject( bucket, key )
+    {
+        const params = {
+            Bucket: bucket,
+            Key   : key
+        };
+
+        let object = await this.s3.getObject( params ).promise()
+        .catch( err =>
+        {
+            console.log( `${this.constructor.name}: Couldn't get the object ${key}: ${JSON.stringify( err )}` );
+            throw err;
+        } );
+
+        return JSON.parse( object.Body.toString() );
+    }
+
+    /**
+     * Lists all the object keys under a prefix, going through all the pages
+     * @async
+     * @param  {String} bucket
+     * @param  {String} prefix
+     * @return {Array}
+     */
+    async listKeys( bucket, prefix )
+    {
+        let keys = [];
+        let continuationToken;
+
+        do
+        {
+            const params = {
+                Bucket: bucket,
+                Prefix: prefix
+            };
+
+            if ( continuationToken )
+            {
+                params.ContinuationToken = continuationToken;
+            }
+
+            const data = await this.s3.listObjectsV2( params ).promise()
+            .catch( err =>
+            {
+                console.log( `${this.constructor.name}: Couldn't list the objects in ${prefix}: ${JSON.stringify( err )}` );
+                throw err;
+            } );
+
+            keys = keys.concat( data.Contents.map( object => object.Key ) );
+            continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+        }
+        while ( continuationToken );
+
+        return keys;
+    }
+}
+
+module.exports = S3Connector;
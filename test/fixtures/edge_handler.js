@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports.viewerRequest = async event => 
+{
+    const request = event.Records[0].cf.request;
+    request.uri = request.uri.replace( /\/$/, '/index.html' );
+
+    console.log( `Rewrote the URI to ${request.uri}` );
+
+    return request;
+};
+
+module.exports.originResponse = ( event, context, callback ) => 
+{
+    const response = event.Records[0].cf.response;
+    response.headers[ 'x-origin-host' ] = [ { key: 'X-Origin-Host', value: event.Records[0].cf.request.headers.host[0].value } ];
+    response.headers[ 'x-cache' ] = [ { key: 'X-Cache', value: 'Hit' } ];
+
+    callback( null, response );
+};
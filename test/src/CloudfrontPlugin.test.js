@@ -1,11 +1,16 @@
 'use strict';
 
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
 const assert = require('chai').assert;
 const AWS    = require('aws-sdk-mock');
+const AWSSDK = require('aws-sdk');
 const sinon  = require('sinon');
 const sandbox = sinon.createSandbox();
 
 const CloudfrontConnector = require('../../src/lib/connectors/CloudfrontConnector');
+const SnapshotStore       = require('../../src/lib/SnapshotStore');
 const CloudfrontPlugin    = require('../../src/CloudfrontPlugin');
 
 describe('CloudfrontPlugin', () => 
@@ -23,8 +28,10 @@ describe('CloudfrontPlugin', () =>
                     cloudfront: {
                         distributionId: 'ABC1234DEF',
                         behaviors: {
-                            cookies: [ 'chocolate-cookie' ],
-                            lambdaAssociations: [ 'awesome-lambda-function' ]
+                            '/pages_contents/*': {
+                                cookies: [ 'chocolate-cookie' ],
+                                lambdaAssociations: { originRequest: 'awesome-lambda-function' }
+                            }
                         }
                     }
                 },
@@ -45,14 +52,26 @@ describe('CloudfrontPlugin', () =>
                     }
                 }
             },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    naming: {
+                        getStackName: () => 'my-awesome-service-dev',
+                        getLambdaVersionOutputLogicalId: () => 'AwesomeLambdaFunctionLambdaFunctionQualifiedArn'
+                    },
+                    getRegion: () => 'us-east-1'
+                };
+            },
             cli: {
                 log: msg => {}
             }
         };
 
         AWS.mock( 'Lambda', 'listVersionsByFunction', require('../fixtures/lambda_versions_data.json') );
+        AWS.mock( 'CloudFormation', 'describeStacks', { Stacks: [ { Outputs: [] } ] } );
 
-        const distribution = require('../fixtures/cloudfront_distribution_data.json');
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
         sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).returns( distribution );
 
         const connectorMock = sinon.mock( CloudfrontConnector.prototype );
@@ -64,7 +83,9 @@ describe('CloudfrontPlugin', () =>
 
         // Restore the original methods to avoid other tests from failing
         connectorMock.verify();
+        connectorMock.restore();
         sandbox.restore();
+        AWS.restore();
     } );
 
     it( 'Tests the process quits if no configuration was provided.', async () => 
@@ -99,6 +120,13 @@ describe('CloudfrontPlugin', () =>
                     }
                 }
             },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
             cli: {
                 log: msg => {}
             }
@@ -161,4 +189,1763 @@ describe('CloudfrontPlugin', () =>
             assert( true, 'Exception from the validation' );
         } 
     } );
+
+    it( 'Tests the command options filter the distribution, behaviors and functions.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {}
+            }
+        };
+        const behaviors = {
+            'foo/*': {
+                cookies: [ 'chocolate-cookie' ],
+                lambdaAssociations: {
+                    viewerRequest: 'function1',
+                    originRequest: 'function2'
+                }
+            },
+            'bar/*': {
+                lambdaAssociations: {
+                    viewerRequest: 'function2'
+                }
+            },
+            'new/*': {
+                targetOriginId: 'assets',
+                lambdaAssociations: {
+                    originRequest: 'function1'
+                },
+                functionAssociations: {
+                    viewerRequest: 'redirect'
+                }
+            }
+        };
+
+        const plugin = new CloudfrontPlugin( serverlessMock, { behavior: 'bar/*' } );
+        assert.deepEqual( Object.keys( plugin.filterBehaviors( behaviors ) ), [ 'bar/*' ] );
+
+        const plugin2 = new CloudfrontPlugin( serverlessMock, { function: 'function1' } );
+        assert.deepEqual( plugin2.filterBehaviors( behaviors ), { 
+            'foo/*': behaviors['foo/*'],
+            'new/*': { targetOriginId: 'assets', lambdaAssociations: behaviors['new/*'].lambdaAssociations }
+        } );
+        assert.deepEqual( plugin2.filterFunctions( [ 'function1', 'function2' ] ), [ 'function1' ] );
+        assert.throws( () => plugin2.filterFunctions( [ 'function2' ] ) );
+
+        const plugin3 = new CloudfrontPlugin( serverlessMock, { distribution: 'OTHER123' } );
+        assert.throws( () => plugin3.filterDistributions( [ { id: 'ABC1234DEF', behaviors } ] ) );
+
+        const plugin4 = new CloudfrontPlugin( serverlessMock, { behavior: 'missing/*' } );
+        assert.deepEqual( plugin4.filterBehaviors( behaviors ), {} );
+    } );
+
+    it( 'Tests every distribution is updated and failures are reported per distribution.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributions: [
+                            {
+                                id: 'BROKEN123',
+                                behaviors: {
+                                    '/pages_contents/*': {
+                                        lambdaAssociations: { viewerRequest: 'awesome-lambda-function' }
+                                    }
+                                }
+                            },
+                            {
+                                id: 'ABC123EDF456',
+                                behaviors: {
+                                    '/pages_contents/*': {
+                                        lambdaAssociations: { viewerRequest: 'awesome-lambda-function' }
+                                    }
+                                }
+                            }
+                        ]
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'awesome-lambda-function' ];
+                },
+                getFunction: () => 
+                {
+                    return {
+                        handler: 'my-awesome-function.run',
+                        name   : 'my-awesome-function'
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    naming: {
+                        getStackName: () => 'my-awesome-service-dev',
+                        getLambdaVersionOutputLogicalId: () => 'AwesomeLambdaFunctionLambdaFunctionQualifiedArn'
+                    },
+                    getRegion: () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        // The newest version fits in the memory limit of the viewer events
+        let versions = JSON.parse( JSON.stringify( require('../fixtures/lambda_versions_data.json') ) );
+        versions.Versions.forEach( version => version.MemorySize = 128 );
+
+        AWS.mock( 'Lambda', 'listVersionsByFunction', versions );
+        AWS.mock( 'CloudFormation', 'describeStacks', { Stacks: [ { Outputs: [] } ] } );
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        const getDistribution = sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' );
+        getDistribution.withArgs( 'BROKEN123' ).rejects( new Error( 'Access denied' ) );
+        getDistribution.withArgs( 'ABC123EDF456' ).resolves( distribution );
+
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        try {
+            await plugin.deployFunctions();
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'BROKEN123' );
+        }
+
+        assert( updateDistributionConfig.calledOnce );
+        assert.include( logs, 'BROKEN123: Failed: Access denied' );
+        assert.include( logs, 'ABC123EDF456: Updated.' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+        AWS.restore();
+    } );
+
+    it( 'Tests the dry run prints the changes without updating the distribution.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                cookies: [ 'chocolate-cookie' ]
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [];
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+
+        const connectorMock = sinon.mock( CloudfrontConnector.prototype );
+        connectorMock.expects( 'updateDistributionConfig' ).never();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        await plugin.planFunctions();
+
+        const changesLog = logs.find( msg => msg.startsWith( 'Changes for ABC123EDF456' ) );
+        assert.include( changesLog, 'ForwardedValues.Cookies.Forward: none -> whitelist' );
+
+        // Restore the original methods to avoid other tests from failing
+        connectorMock.verify();
+        connectorMock.restore();
+        sandbox.restore();
+    } );
+
+    it( 'Tests the CloudFront Functions are deployed from their source files.', async () => 
+    {
+        const serverlessMock = {
+            config: {
+                servicePath: `${__dirname}/../fixtures`
+            },
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {}
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const deployFunction = sandbox.stub( CloudfrontConnector.prototype, 'deployFunction' ).resolves( {
+            FunctionMetadata: { FunctionARN: 'arn:aws:cloudfront::123456789012:function/rewrite-urls' }
+        } );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.config = {
+            functions: {
+                'rewrite-urls': {
+                    source : 'cloudfront_function.js',
+                    runtime: 'cloudfront-js-2.0'
+                }
+            }
+        };
+
+        const cloudfrontFunctions = await plugin.deployCloudfrontFunctions( new CloudfrontConnector() );
+
+        assert.equal( cloudfrontFunctions['rewrite-urls'].FunctionARN, 'arn:aws:cloudfront::123456789012:function/rewrite-urls' );
+        assert.equal( deployFunction.firstCall.args[0], 'rewrite-urls' );
+        assert.include( deployFunction.firstCall.args[1].toString(), 'function handler' );
+        assert.equal( deployFunction.firstCall.args[2].runtime, 'cloudfront-js-2.0' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the wait settings are taken from the configuration or the wait option.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {}
+            }
+        };
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        assert.isUndefined( plugin.getWaitSettings( undefined, undefined ) );
+        assert.deepEqual( plugin.getWaitSettings( { timeout: 600 }, undefined ), { timeout: 600000, interval: 30000 } );
+        assert.deepEqual( plugin.getWaitSettings( undefined, true ), { timeout: 1800000, interval: 30000 } );
+    } );
+
+    it( 'Tests the invalidation paths are taken from the configuration or the changed behaviors.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {}
+            }
+        };
+        const changes = [
+            { name: 'Distribution', changes: [ {} ] },
+            { name: 'behavior /pages_contents/*', pathPattern: '/pages_contents/*', changes: [ {} ] },
+            { name: 'behavior api/v?/users', pathPattern: 'api/v?/users', changes: [ {} ] }
+        ];
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        plugin.config = {};
+        assert.deepEqual( plugin.getInvalidationPaths( changes ), [] );
+
+        plugin.config = { invalidate: [ '/index.html' ] };
+        assert.deepEqual( plugin.getInvalidationPaths( changes ), [ '/index.html' ] );
+
+        plugin.config = { invalidate: 'auto' };
+        assert.deepEqual( plugin.getInvalidationPaths( changes ), [ '/pages_contents/*', '/api/v*' ] );
+
+        changes.push( { name: 'DefaultCacheBehavior', pathPattern: '*', changes: [ {} ] } );
+        assert.deepEqual( plugin.getInvalidationPaths( changes ), [ '/*' ] );
+
+        plugin.config = { invalidate: '/index.html' };
+        assert.throws( () => plugin.getInvalidationPaths( changes ), 'invalidate must be auto or a list of paths, not "/index.html"' );
+    } );
+
+    it( 'Tests the rollback restores the last snapshot of the distribution.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                service: 'my-service',
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: { viewerRequest: 'awesome-lambda-function' }
+                            }
+                        }
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getServerlessDeploymentBucketName: async () => 'my-deployment-bucket',
+                    getStage : () => 'dev',
+                    getRegion: () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const snapshot = {
+            distributionId: 'ABC123EDF456',
+            timestamp     : '2020-02-01T10-00-00-000Z',
+            behaviors     : {
+                '/pages_contents/*': {
+                    LambdaFunctionAssociations: {
+                        Quantity: 1,
+                        Items   : [ {
+                            LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:my-awesome-function:1',
+                            EventType        : 'viewer-request'
+                        } ]
+                    }
+                }
+            }
+        };
+
+        const load = sandbox.stub( SnapshotStore.prototype, 'load' ).resolves( snapshot );
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, { timestamp: '2020-02' } );
+
+        await plugin.rollbackDistributions();
+
+        assert( load.calledWith( 'ABC123EDF456', '2020-02' ) );
+        assert.equal( plugin.snapshotStore.bucket, 'my-deployment-bucket' );
+        assert.equal( plugin.snapshotStore.prefix, 'serverless/my-service/dev/cloudfront-snapshots' );
+
+        const updatedConfig = updateDistributionConfig.firstCall.args[0].Distribution.DistributionConfig;
+        assert.deepEqual( updatedConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations, 
+            snapshot.behaviors['/pages_contents/*'].LambdaFunctionAssociations );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the deployment fails before updating any distribution if a function is not valid.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: { 
+                                    viewerRequest: 'awesome-lambda-function',
+                                    originRequest: 'missing-function' 
+                                }
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'awesome-lambda-function' ];
+                },
+                getFunction: () => 
+                {
+                    return {
+                        handler    : 'my-awesome-function.run',
+                        name       : 'my-awesome-function',
+                        environment: { STAGE: 'dev' }
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    naming: {
+                        getStackName: () => 'my-awesome-service-dev',
+                        getLambdaVersionOutputLogicalId: () => 'AwesomeLambdaFunctionLambdaFunctionQualifiedArn'
+                    },
+                    getRegion: () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        // The newest version fits in the memory limit of the viewer events
+        let versions = JSON.parse( JSON.stringify( require('../fixtures/lambda_versions_data.json') ) );
+        versions.Versions.forEach( version => version.MemorySize = 128 );
+
+        AWS.mock( 'Lambda', 'listVersionsByFunction', versions );
+        AWS.mock( 'CloudFormation', 'describeStacks', { Stacks: [ { Outputs: [] } ] } );
+
+        const connectorMock = sinon.mock( CloudfrontConnector.prototype );
+        connectorMock.expects( 'getDistribution' ).never();
+        connectorMock.expects( 'updateDistributionConfig' ).never();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        try {
+            await plugin.deployFunctions();
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'Found 2 problem(s)' );
+            assert.include( err.message, "function 'missing-function' is not defined in this service" );
+            assert.include( err.message, 'awesome-lambda-function: environment variables are not supported by Lambda@Edge' );
+        }
+
+        // Restore the original methods to avoid other tests from failing
+        connectorMock.verify();
+        AWS.restore();
+    } );
+
+    it( 'Tests the associations pinned to an alias use the numbered version behind it.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {},
+                getFunction: () => 
+                {
+                    return { name: 'my-awesome-function' };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        let requests = [];
+
+        AWS.mock( 'Lambda', 'getFunctionConfiguration', ( params, callback ) => 
+        {
+            requests.push( params );
+            callback( null, {
+                FunctionArn: `arn:aws:lambda:us-east-1:1234567890:function:my-awesome-function:${params.Qualifier}`,
+                Version    : '4'
+            } );
+        } );
+
+        const distributions = [ {
+            id       : 'ABC123EDF456',
+            behaviors: {
+                'foo/*': {
+                    lambdaAssociations: {
+                        viewerRequest: 'awesome-lambda-function',
+                        originRequest: { function: 'awesome-lambda-function', alias: 'live', includeBody: true }
+                    }
+                },
+                'bar/*': {
+                    lambdaAssociations: {
+                        originRequest: { function: 'awesome-lambda-function', alias: 'live' },
+                        originResponse: { function: 'other-function', version: 2 }
+                    }
+                }
+            }
+        } ];
+
+        const plugin   = new CloudfrontPlugin( serverlessMock, {} );
+        const versions = await plugin.getPinnedVersions( new CloudfrontConnector(), distributions, [ 'awesome-lambda-function' ] );
+
+        assert.deepEqual( Object.keys( versions ), [ 'awesome-lambda-function:live' ] );
+        assert.equal( versions['awesome-lambda-function:live'].FunctionArn, 
+            'arn:aws:lambda:us-east-1:1234567890:function:my-awesome-function:4' );
+        assert.deepEqual( requests, [ { FunctionName: 'my-awesome-function', Qualifier: 'live' } ] );
+
+        const plugin2 = new CloudfrontPlugin( serverlessMock, { function: 'awesome-lambda-function' } );
+        assert.deepEqual( Object.keys( plugin2.filterBehaviors( distributions[0].behaviors ) ), [ 'foo/*', 'bar/*' ] );
+
+        AWS.restore();
+    } );
+
+    it( 'Tests the versions are taken from the stack outputs, or from all the pages of versions otherwise.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {},
+                getFunction: functionName => 
+                {
+                    return { name: `my-service-dev-${functionName}` };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    naming: {
+                        getStackName: () => 'my-service-dev',
+                        getLambdaVersionOutputLogicalId: functionName => `${functionName}LambdaFunctionQualifiedArn`
+                    },
+                    getRegion: () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        AWS.mock( 'CloudFormation', 'describeStacks', { Stacks: [ { Outputs: [ {
+            OutputKey  : 'publishedLambdaFunctionQualifiedArn',
+            OutputValue: 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-published:7'
+        } ] } ] } );
+        AWS.mock( 'Lambda', 'getFunctionConfiguration', ( params, callback ) => 
+        {
+            callback( null, {
+                FunctionArn: `arn:aws:lambda:us-east-1:1234567890:function:${params.FunctionName}:${params.Qualifier}`,
+                Version    : params.Qualifier
+            } );
+        } );
+        AWS.mock( 'Lambda', 'listVersionsByFunction', ( params, callback ) => 
+        {
+            if ( params.FunctionName === 'my-service-dev-broken' )
+            {
+                return callback( params.Marker ? { code: 'AccessDeniedException' } : null, { Versions: [], NextMarker: 'page2' } );
+            }
+
+            callback( null, params.Marker 
+                ? { Versions: [ { Version: '12' }, { Version: '9' } ] } 
+                : { Versions: [ { Version: '$LATEST' }, { Version: '2' } ], NextMarker: 'page2' } );
+        } );
+
+        const plugin    = new CloudfrontPlugin( serverlessMock, {} );
+        const functions = await plugin.getLambdaFunctions( [ 'published', 'unversioned' ] );
+
+        assert.equal( functions['published'].FunctionArn, 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-published:7' );
+        assert.equal( functions['unversioned'].Version, '12' );
+
+        try {
+            await plugin.getLambdaFunctions( [ 'published', 'broken' ] );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.equal( err.code, 'AccessDeniedException' );
+        }
+
+        AWS.restore();
+    } );
+
+    it( 'Tests the distributions are found by stack output when their ID is not configured.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributions: [
+                            { id: 'ABC123EDF456', behaviors: {} },
+                            { distribution: { output: { name: 'DistributionId' } }, behaviors: {} },
+                            { distribution: { output: { name: 'MissingOutput' } }, behaviors: {} }
+                        ]
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    naming: {
+                        getStackName: () => 'my-service-dev'
+                    },
+                    getRegion: () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        AWS.mock( 'CloudFormation', 'describeStacks', ( params, callback ) => 
+        {
+            assert.equal( params.StackName, 'my-service-dev' );
+            callback( null, { Stacks: [ { Outputs: [ { OutputKey: 'DistributionId', OutputValue: 'DEF789GHI012' } ] } ] } );
+        } );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.getConfiguration();
+
+        // The failed lookup is reported as the failure of its distribution only
+        const distributions = await plugin.resolveDistributions( new CloudfrontConnector(), plugin.distributions );
+        assert.deepEqual( distributions.map( distribution => distribution.id ), 
+            [ 'ABC123EDF456', 'DEF789GHI012', '{"output":{"name":"MissingOutput"}}' ] );
+        assert.isUndefined( distributions[1].error );
+        assert.include( distributions[2].error.message, 'The stack my-service-dev has no output MissingOutput' );
+
+        plugin.options.distribution = 'DEF789GHI012';
+        assert.deepEqual( plugin.filterDistributions( distributions ), [ distributions[1] ] );
+
+        // The distribution may be the one that couldn't be found
+        plugin.options.distribution = 'GHI345JKL678';
+        assert.deepEqual( plugin.filterDistributions( distributions ), [ distributions[2] ] );
+        assert.throws( () => plugin.checkDistributionFound( distributions[2] ), /no output MissingOutput/ );
+
+        try {
+            await plugin.resolveDistributionId( new CloudfrontConnector(), { output: { name: 'MissingOutput' } } );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'The stack my-service-dev has no output MissingOutput' );
+        }
+
+        try {
+            await plugin.resolveDistributionId( new CloudfrontConnector(), { alias: 'www.example.com', export: 'foo' } );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'must be looked up by one of' );
+        }
+
+        AWS.restore();
+    } );
+
+    it( 'Tests the configuration schema is registered and checked before any AWS call.', async () => 
+    {
+        let customSchema;
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            'foo/*': {
+                                lambdaAssociations: { viewerRequst: 'awesome-lambda-function' }
+                            }
+                        }
+                    }
+                }
+            },
+            configSchemaHandler: {
+                defineCustomProperties: schema => customSchema = schema
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const connectorMock = sinon.mock( CloudfrontConnector.prototype );
+        connectorMock.expects( 'getDistribution' ).never();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        assert.property( customSchema.properties, 'cloudfront' );
+
+        try {
+            await plugin.deployFunctions();
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, "behaviors['foo/*'].lambdaAssociations.viewerRequst is not a valid event type" );
+        }
+
+        connectorMock.verify();
+        connectorMock.restore();
+    } );
+
+    it( 'Tests the info command prints the distributions as JSON.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distribution: { alias: 'www.example.com' },
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: { viewerRequest: 'awesome-lambda-function' }
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'awesome-lambda-function' ];
+                },
+                getFunction: () => 
+                {
+                    return { name: 'my-awesome-function' };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+        sandbox.stub( CloudfrontConnector.prototype, 'findDistributionIdByAlias' ).resolves( 'ABC123EDF456' );
+        const consoleLog   = sandbox.stub( console, 'log' );
+        const consoleError = sandbox.stub( console, 'error' );
+
+        serverlessMock.cli.log = sinon.spy();
+
+        const plugin = new CloudfrontPlugin( serverlessMock, { format: 'json' } );
+        await plugin.showInfo();
+
+        // Nothing but the JSON goes to stdout
+        assert( consoleLog.calledOnce );
+        assert( serverlessMock.cli.log.notCalled );
+        assert( consoleError.calledWith( 'Found CF Distribution ABC123EDF456 by {"alias":"www.example.com"}' ) );
+
+        const output = consoleLog.lastCall.args[0];
+        sandbox.restore();
+
+        const descriptions = JSON.parse( output );
+        assert.equal( descriptions[0].id, 'ABC123EDF456' );
+        assert.equal( descriptions[0].behaviors[1].pathPattern, '/pages_contents/*' );
+        assert.equal( descriptions[0].behaviors[1].configured, true );
+
+        const plugin2 = new CloudfrontPlugin( serverlessMock, { format: 'yaml' } );
+
+        try {
+            await plugin2.showInfo();
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'The format must be table or json' );
+        }
+    } );
+
+    it( 'Tests the check fails when the distribution drifted from the configuration.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                cookies: 'none'
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [];
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+
+        const connectorMock = sinon.mock( CloudfrontConnector.prototype );
+        connectorMock.expects( 'updateDistributionConfig' ).never();
+
+        await new CloudfrontPlugin( serverlessMock, {} ).checkDistributions();
+
+        assert.include( logs, 'ABC123EDF456: In sync.' );
+
+        // Someone changed the cookies in the console
+        serverlessMock.service.custom.cloudfront.behaviors[ '/pages_contents/*' ].cookies = [ 'chocolate-cookie' ];
+        logs = [];
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, {} ).checkDistributions();
+            assert.fail( 'The check should fail' );
+        }
+        catch ( err )
+        {
+            assert.equal( err.message, 'CloudfrontPlugin: 1 distribution(s) drifted from the configuration: ABC123EDF456' );
+        }
+
+        const driftLog = logs.find( msg => msg.startsWith( 'Drift for ABC123EDF456 (live -> configured)' ) );
+        assert.include( driftLog, 'ForwardedValues.Cookies.Forward: none -> whitelist' );
+        assert.include( logs, 'ABC123EDF456: Drifted.' );
+
+        // A distribution that can't be read isn't reported as a failed update
+        CloudfrontConnector.prototype.getDistribution.rejects( Error( 'Access denied' ) );
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, {} ).checkDistributions();
+            assert.fail( 'The check should fail' );
+        }
+        catch ( err )
+        {
+            assert.equal( err.message, 'CloudfrontPlugin: Check failed for 1 distribution(s): ABC123EDF456' );
+        }
+
+        // Restore the original methods to avoid other tests from failing
+        connectorMock.verify();
+        connectorMock.restore();
+        sandbox.restore();
+    } );
+
+    it( 'Tests the prune only deletes the old versions that no distribution or alias uses.', async () => 
+    {
+        let logs    = [];
+        let deleted = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: {
+                                    originRequest: 'edge'
+                                }
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'edge', 'api' ];
+                },
+                getFunction: functionName => 
+                {
+                    return { name: `my-service-dev-${functionName}` };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        sandbox.stub( CloudfrontConnector.prototype, 'listAssociatedLambdaArns' ).resolves( [
+            'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-edge:2'
+        ] );
+
+        AWS.mock( 'Lambda', 'listVersionsByFunction', ( params, callback ) => 
+        {
+            const versions = [ '$LATEST', '1', '2', '3', '4', '5', '6' ].map( version => ( {
+                Version    : version,
+                FunctionArn: `arn:aws:lambda:us-east-1:1234567890:function:${params.FunctionName}:${version}`
+            } ) );
+
+            callback( null, { Versions: versions } );
+        } );
+        AWS.mock( 'Lambda', 'listAliases', { Aliases: [ {
+            Name           : 'live',
+            FunctionVersion: '3',
+            RoutingConfig  : { AdditionalVersionWeights: { '4': 0.1 } }
+        } ] } );
+        AWS.mock( 'Lambda', 'deleteFunction', ( params, callback ) => 
+        {
+            if ( params.Qualifier === '1' )
+            {
+                return callback( { message: 'Lambda was unable to delete the version because it is a replicated function.' } );
+            }
+
+            deleted.push( `${params.FunctionName}:${params.Qualifier}` );
+            callback( null, {} );
+        } );
+
+        await new CloudfrontPlugin( serverlessMock, { keep: '1', 'dry-run': true } ).pruneVersions();
+
+        assert.include( logs, 'edge: 2 of 6 version(s) to delete.' );
+        assert.include( logs, 'Would delete version 5 of my-service-dev-edge' );
+        assert.include( logs, 'Would delete version 1 of my-service-dev-edge' );
+        assert.deepEqual( deleted, [] );
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, { keep: '1' } ).pruneVersions();
+            assert.fail( 'The prune should fail' );
+        }
+        catch ( err )
+        {
+            assert.equal( err.message, 'CloudfrontPlugin: Couldn\'t delete 1 version(s): my-service-dev-edge:1' );
+        }
+
+        assert.deepEqual( deleted, [ 'my-service-dev-edge:5' ] );
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, {} ).pruneVersions();
+            assert.fail( 'The prune should fail' );
+        }
+        catch ( err )
+        {
+            assert.equal( err.message, 'CloudfrontPlugin: The keep option must be the number of versions to keep, not undefined.' );
+        }
+
+        // The versions saved in a snapshot are kept to roll back to them
+        serverlessMock.service.custom.cloudfront.snapshots = { bucket: 'my-snapshots-bucket' };
+        serverlessMock.service.service = 'my-service';
+        serverlessMock.getProvider     = () => ( {
+            getCredentials: () => ( {} ),
+            getRegion     : () => 'us-east-1',
+            getStage      : () => 'dev'
+        } );
+
+        const loadAll = sandbox.stub( SnapshotStore.prototype, 'loadAll' ).resolves( [ {
+            behaviors: {
+                '/pages_contents/*': {
+                    LambdaFunctionAssociations: { Quantity: 1, Items: [ {
+                        EventType        : 'origin-request',
+                        LambdaFunctionARN: 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-edge:5'
+                    } ] }
+                }
+            }
+        } ] );
+        logs = [];
+
+        await new CloudfrontPlugin( serverlessMock, { keep: '1', 'dry-run': true } ).pruneVersions();
+
+        assert( loadAll.calledOnceWith( 'ABC123EDF456' ) );
+        assert.include( logs, 'edge: 1 of 6 version(s) to delete.' );
+        assert.notInclude( logs, 'Would delete version 5 of my-service-dev-edge' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+        AWS.restore();
+    } );
+
+    it( 'Tests the removal detaches the functions of the service and waits for the distribution.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: { viewerRequest: 'edge' }
+                            }
+                        },
+                        invalidate: [ '/*' ]
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'edge' ];
+                },
+                getFunction: functionName => 
+                {
+                    return { name: `my-service-dev-${functionName}` };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        const otherAssociation = {
+            LambdaFunctionARN: 'arn:aws:lambda:us-east-1:1234567890:function:other-service-dev-edge:4',
+            EventType        : 'origin-response'
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        distribution.Distribution.DistributionConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+            Quantity: 2,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-edge:12',
+                EventType        : 'viewer-request'
+            }, otherAssociation ]
+        };
+
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves();
+        const waitForDeployment        = sandbox.stub( CloudfrontConnector.prototype, 'waitForDeployment' ).resolves();
+        const createInvalidation       = sandbox.stub( CloudfrontConnector.prototype, 'createInvalidation' ).resolves();
+
+        await new CloudfrontPlugin( serverlessMock, {} ).removeFunctions();
+
+        const updatedConfig = updateDistributionConfig.firstCall.args[0].Distribution.DistributionConfig;
+        assert.deepEqual( updatedConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations, { Quantity: 1, Items: [ otherAssociation ] } );
+        assert( waitForDeployment.calledWith( 'ABC123EDF456' ) );
+        assert( createInvalidation.notCalled );
+        assert( logs.some( msg => msg.includes( 'run the removal again later' ) ) );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the invoke runs the chain of functions of the path and reports the results over the limits.', async () => 
+    {
+        const serverlessMock = {
+            config: {
+                servicePath: `${__dirname}/../fixtures`
+            },
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1',
+                    runtime: 'nodejs18.x'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: {
+                                    viewerRequest : 'rewrite',
+                                    originResponse: 'headers'
+                                }
+                            }
+                        }
+                    }
+                },
+                getFunction: functionName => 
+                {
+                    return { handler: `edge_handler.${functionName === 'rewrite' ? 'viewerRequest' : 'originResponse'}` };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+        const consoleLog   = sandbox.stub( console, 'log' );
+        const consoleError = sandbox.stub( console, 'error' );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, { path: '/pages_contents/?page=2', chain: true } );
+
+        try
+        {
+            await plugin.invokeFunctions();
+            assert.fail( 'The invoke should fail' );
+        }
+        catch ( err )
+        {
+            assert.include( err.message, 'Found 1 problem(s) in the results' );
+            assert.include( err.message, 'originResponse: the header x-cache can\'t be set by the function' );
+        }
+
+        // The messages and what the handlers log go to stderr, so stdout only has the results
+        assert( consoleLog.calledTwice );
+        assert( consoleError.calledWith( '/pages_contents/?page=2 uses the behavior /pages_contents/* of ABC123EDF456' ) );
+        assert( consoleError.calledWith( 'Rewrote the URI to /pages_contents/index.html' ) );
+
+        const request  = JSON.parse( consoleLog.firstCall.args[0] );
+        const response = JSON.parse( consoleLog.secondCall.args[0] );
+
+        assert.equal( request.uri, '/pages_contents/index.html' );
+        assert.equal( request.querystring, 'page=2' );
+        assert.equal( response.status, '200' );
+        // The behavior doesn't forward the host, so the origin gets its own domain
+        assert.equal( response.headers[ 'x-origin-host' ][0].value, 'assets.s3.amazonaws.com' );
+
+        // Serverless uses Node.js when no runtime is set
+        delete serverlessMock.service.provider.runtime;
+        assert.isFunction( plugin.getHandler( 'rewrite' ) );
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, { path: '/pages_contents/', headers: '{accept: text/html}' } ).invokeFunctions();
+            assert.fail( 'The invoke should fail' );
+        }
+        catch ( err )
+        {
+            assert.include( err.message, 'The headers option must be a JSON object' );
+        }
+
+        // A cache file saved for another distribution is replaced
+        const cacheFile = path.join( os.tmpdir(), `cloudfront-invoke-${process.pid}.json` );
+        fs.writeFileSync( cacheFile, JSON.stringify( { Distribution: { Id: 'DEF789GHI012' } } ) );
+
+        try
+        {
+            const cached = await new CloudfrontPlugin( serverlessMock, { cache: cacheFile } )
+                .getInvokeDistribution( new CloudfrontConnector(), 'ABC123EDF456' );
+
+            assert.strictEqual( cached, distribution );
+            assert( CloudfrontConnector.prototype.getDistribution.calledWith( 'ABC123EDF456' ) );
+            assert.equal( JSON.parse( fs.readFileSync( cacheFile, 'utf8' ) ).Distribution.Id, distribution.Distribution.Id );
+        }
+        finally
+        {
+            fs.unlinkSync( cacheFile );
+        }
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the AWS clients use the provider credentials and CloudFront the configured role.', async () => 
+    {
+        const credentials = new AWSSDK.Credentials( 'AKIAEXAMPLE', 'secret' );
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {}
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( { credentials } ),
+                    getRegion     : () => 'eu-west-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.getConfiguration();
+
+        assert.deepEqual( plugin.getAwsOptions(), { credentials, region: 'eu-west-1' } );
+        assert.strictEqual( plugin.getLambda().config.credentials, credentials );
+        assert.strictEqual( plugin.getCloudfrontConnector().cloudfront.config.credentials, credentials );
+
+        serverlessMock.service.custom.cloudfront.roleArn = 'arn:aws:iam::210987654321:role/cloudfront-deployer';
+        plugin.getConfiguration();
+
+        const roleCredentials = plugin.getCloudfrontConnector().cloudfront.config.credentials;
+        assert.instanceOf( roleCredentials, AWSSDK.ChainableTemporaryCredentials );
+        assert.equal( roleCredentials.service.config.params.RoleArn, 'arn:aws:iam::210987654321:role/cloudfront-deployer' );
+        assert.strictEqual( roleCredentials.service.config.credentials, credentials );
+
+        // The functions stay in the account of the provider
+        assert.strictEqual( plugin.getLambda().config.credentials, credentials );
+    } );
+
+    it( 'Tests a staged release updates the staging distribution, then promotes or aborts it.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        staging       : { weight: 0.05 },
+                        behaviors     : {
+                            '/pages_contents/*': {
+                                cookies: [ 'chocolate-cookie' ]
+                            }
+                        }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [];
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        const distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+        const getDistribution = sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).resolves( distribution );
+        sandbox.stub( CloudfrontConnector.prototype, 'findStagingDistribution' ).resolves( { id: 'STG789', policyId: 'POLICY1' } );
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves();
+        const updatePolicy             = sandbox.stub( CloudfrontConnector.prototype, 'updateContinuousDeploymentPolicy' ).resolves();
+        const promote                  = sandbox.stub( CloudfrontConnector.prototype, 'promoteStagingDistribution' ).resolves();
+
+        await new CloudfrontPlugin( serverlessMock, {} ).deployFunctions();
+
+        assert.equal( updateDistributionConfig.callCount, 1 );
+        assert.equal( getDistribution.lastCall.args[0], 'STG789' );
+        assert( updatePolicy.calledWith( 'POLICY1', { Type: 'SingleWeight', SingleWeightConfig: { Weight: 0.05 } }, true ) );
+        assert.include( logs, 'Sending 5% of the viewers to the staging distribution STG789 of ABC123EDF456' );
+
+        await new CloudfrontPlugin( serverlessMock, {} ).promoteStaging();
+
+        assert( promote.calledWith( 'ABC123EDF456', 'STG789' ) );
+        assert( updatePolicy.lastCall.calledWith( 'POLICY1', undefined, false ) );
+
+        updatePolicy.resetHistory();
+        await new CloudfrontPlugin( serverlessMock, {} ).abortStaging();
+
+        assert.equal( promote.callCount, 1 );
+        assert( updatePolicy.calledOnceWith( 'POLICY1', undefined, false ) );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests every distribution is updated before waiting for all of them at the same time.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributions: [
+                            { id: 'ABC123EDF456', behaviors: { '/pages_contents/*': { cookies: [ 'chocolate-cookie' ] } } },
+                            { id: 'SLOW123', behaviors: { '/pages_contents/*': { cookies: [ 'chocolate-cookie' ] } } }
+                        ],
+                        waitForDeployment: { timeout: 60 }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [];
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        let calls = [];
+
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).callsFake( async distributionId => 
+        {
+            let distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+            distribution.Distribution.Id = distributionId;
+
+            return distribution;
+        } );
+        sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).callsFake( async distribution => 
+            calls.push( `update ${distribution.Distribution.Id}` ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'waitForDeployment' ).callsFake( async ( distributionId, timeout ) => 
+        {
+            calls.push( `wait ${distributionId} ${timeout}` );
+
+            if ( distributionId === 'SLOW123' )
+            {
+                throw new Error( 'Distribution SLOW123 is still InProgress after 60s, stopped waiting.' );
+            }
+        } );
+
+        try {
+            await new CloudfrontPlugin( serverlessMock, {} ).deployFunctions();
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.equal( err.message, 'CloudfrontPlugin: Couldn\'t update 1 distribution(s): SLOW123' );
+        }
+
+        assert.deepEqual( calls, [ 'update ABC123EDF456', 'update SLOW123', 'wait ABC123EDF456 60000', 'wait SLOW123 60000' ] );
+        assert.include( logs, 'ABC123EDF456: Updated.' );
+        assert.include( logs, 'SLOW123: Failed: Distribution SLOW123 is still InProgress after 60s, stopped waiting.' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests a snapshot is only saved when the associations of a behavior change.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        snapshots     : true,
+                        behaviors     : {}
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).callsFake( async () => 
+            JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) ) );
+        sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves( {} );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.getConfiguration();
+
+        plugin.snapshotStore = new SnapshotStore( {}, 'my-bucket', 'snapshots' );
+        const save = sandbox.stub( plugin.snapshotStore, 'save' ).resolves( '2020-02-01T10-00-00-000Z' );
+
+        // Only the cookies change, so there's nothing to roll back
+        await plugin.updateDistribution( new CloudfrontConnector(), 'ABC123EDF456', config => 
+        {
+            config.CacheBehaviors.Items[0].ForwardedValues.Cookies = { Forward: 'all' };
+            return config;
+        }, true );
+
+        assert( save.notCalled );
+
+        await plugin.updateDistribution( new CloudfrontConnector(), 'ABC123EDF456', config => 
+        {
+            config.CacheBehaviors.Items[0].LambdaFunctionAssociations = { Quantity: 1, Items: [ {
+                EventType        : 'origin-request',
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-edge:2',
+                IncludeBody      : false
+            } ] };
+            return config;
+        }, true );
+
+        assert( save.calledOnce );
+        assert.deepEqual( Object.keys( save.firstCall.args[1].behaviors ), [ '/pages_contents/*' ] );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests a distribution without changes is not updated and reported as unchanged.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors     : {}
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).callsFake( async () => 
+            JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) ) );
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves( {} );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.getConfiguration();
+
+        const result = await plugin.updateDistribution( new CloudfrontConnector(), 'ABC123EDF456', config => config, true );
+
+        assert( updateDistributionConfig.notCalled );
+        assert.deepEqual( result, { changes: [] } );
+
+        plugin.reportResults( [ { id: 'ABC123EDF456', changes: result.changes, deployment: result.deployment } ] );
+        assert.include( logs, 'ABC123EDF456: Unchanged, nothing to update.' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests a distribution is deployed before it is invalidated, even without waiting for the deployments.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors     : {},
+                        invalidate    : [ '/*' ]
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        let calls = [];
+
+        const connector = new CloudfrontConnector();
+        sandbox.stub( connector, 'waitForDeployment' ).callsFake( async ( distributionId, timeout ) => 
+        {
+            calls.push( `wait ${distributionId} ${timeout}` );
+        } );
+        sandbox.stub( connector, 'createInvalidation' ).callsFake( async distributionId => 
+        {
+            calls.push( `invalidate ${distributionId}` );
+            return { Invalidation: { Id: 'I123' } };
+        } );
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+        plugin.getConfiguration();
+
+        await plugin.completeDeployments( connector, [
+            { id: 'ABC123EDF456', deployment: { distributionId: 'ABC123EDF456', invalidationPaths: [ '/*' ] } },
+            { id: 'DEF789GHI012', deployment: { distributionId: 'DEF789GHI012', invalidationPaths: [] } }
+        ] );
+
+        // The distribution that isn't invalidated isn't waited for
+        assert.deepEqual( calls, [ 'wait ABC123EDF456 1800000', 'invalidate ABC123EDF456' ] );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the commands run on the configured distributions, each one failing on its own.', async () => 
+    {
+        let logs = [];
+
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributions: [
+                            { id: 'ABC123EDF456', behaviors: { '/pages_contents/*': {} } },
+                            { id: 'DEF789GHI012', behaviors: {} }
+                        ]
+                    }
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => logs.push( msg )
+            }
+        };
+
+        const plugin = new CloudfrontPlugin( serverlessMock, {} );
+
+        const { cloudfrontConnector, distributions } = await plugin.getCommandDistributions( true );
+        assert.deepEqual( distributions.map( distribution => distribution.id ), [ 'ABC123EDF456' ] );
+
+        const allDistributions = ( await plugin.getCommandDistributions( false ) ).distributions;
+
+        try
+        {
+            await plugin.updateDistributions( cloudfrontConnector, allDistributions, async distribution => 
+            {
+                if ( distribution.id === 'ABC123EDF456' )
+                {
+                    throw Error( 'Access denied' );
+                }
+
+                return { changes: [ {} ] };
+            } );
+            assert.fail( 'The update should fail' );
+        }
+        catch ( err )
+        {
+            assert.equal( err.message, 'CloudfrontPlugin: Couldn\'t update 1 distribution(s): ABC123EDF456' );
+        }
+
+        assert.include( logs, 'ABC123EDF456: Failed: Access denied' );
+        assert.include( logs, 'DEF789GHI012: Updated.' );
+
+        serverlessMock.service.custom.cloudfront = { distributions: [] };
+        assert.deepEqual( ( await new CloudfrontPlugin( serverlessMock, {} ).getCommandDistributions( false ) ).distributions, [] );
+        assert.include( logs, 'CloudfrontPlugin: No configuration found. Continuing without any changes.' );
+    } );
+
+    it( 'Tests the removal also detaches the functions from the staging distribution of a staged release.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributionId: 'ABC123EDF456',
+                        behaviors: {
+                            '/pages_contents/*': {
+                                lambdaAssociations: { viewerRequest: 'edge' }
+                            }
+                        },
+                        staging: { weight: 0.05 }
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [ 'edge' ];
+                },
+                getFunction: functionName => 
+                {
+                    return { name: `my-service-dev-${functionName}` };
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        sandbox.stub( CloudfrontConnector.prototype, 'getDistribution' ).callsFake( async distributionId => 
+        {
+            let distribution = JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) );
+
+            distribution.Distribution.Id = distributionId;
+            distribution.Distribution.DistributionConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+                Quantity: 1,
+                Items   : [ {
+                    LambdaFunctionARN: 'arn:aws:lambda:us-east-1:1234567890:function:my-service-dev-edge:12',
+                    EventType        : 'viewer-request'
+                } ]
+            };
+
+            return distribution;
+        } );
+        sandbox.stub( CloudfrontConnector.prototype, 'findStagingDistribution' ).callsFake( async primaryDistribution => 
+            primaryDistribution.Distribution.Id === 'ABC123EDF456' ? { id: 'STG789', policyId: 'POLICY1' } : undefined );
+
+        const updateDistributionConfig = sandbox.stub( CloudfrontConnector.prototype, 'updateDistributionConfig' ).resolves();
+        const waitForDeployment        = sandbox.stub( CloudfrontConnector.prototype, 'waitForDeployment' ).resolves();
+
+        await new CloudfrontPlugin( serverlessMock, {} ).removeFunctions();
+
+        assert.deepEqual( updateDistributionConfig.args.map( args => args[0].Distribution.Id ), [ 'ABC123EDF456', 'STG789' ] );
+        assert.deepEqual( updateDistributionConfig.secondCall.args[0].Distribution.DistributionConfig.CacheBehaviors.Items[0]
+            .LambdaFunctionAssociations, { Quantity: 0, Items: [] } );
+        assert( waitForDeployment.calledWith( 'STG789' ) );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+    } );
+
+    it( 'Tests the info command only prints valid JSON to stdout when a distribution fails.', async () => 
+    {
+        const serverlessMock = {
+            service: {
+                provider: {
+                    name: 'aws',
+                    region: 'us-east-1'
+                },
+                custom: {
+                    cloudfront: {
+                        distributions: [
+                            { id: 'ABC123EDF456', behaviors: {} },
+                            { id: 'MISSING123', behaviors: {} }
+                        ]
+                    }
+                },
+                getAllFunctions: () => 
+                {
+                    return [];
+                }
+            },
+            getProvider: () => 
+            {
+                return {
+                    getCredentials: () => ( {} ),
+                    getRegion     : () => 'us-east-1'
+                };
+            },
+            cli: {
+                log: msg => {}
+            }
+        };
+
+        AWS.mock( 'CloudFront', 'getDistribution', ( params, callback ) => 
+        {
+            if ( params.Id === 'MISSING123' )
+            {
+                return callback( { code: 'NoSuchDistribution', message: 'The specified distribution does not exist.' } );
+            }
+
+            callback( null, JSON.parse( JSON.stringify( require('../fixtures/cloudfront_distribution_data.json') ) ) );
+        } );
+
+        const consoleLog   = sandbox.stub( console, 'log' );
+        const consoleError = sandbox.stub( console, 'error' );
+
+        try
+        {
+            await new CloudfrontPlugin( serverlessMock, { format: 'json' } ).showInfo();
+            assert.fail( 'The info should fail' );
+        }
+        catch ( err )
+        {
+            assert.include( err.message, 'Couldn\'t show 1 distribution(s): MISSING123' );
+        }
+
+        const stdout = consoleLog.args.map( args => args.join( ' ' ) ).join( '\n' );
+        const stderr = consoleError.args.map( args => args.join( ' ' ) ).join( '\n' );
+
+        // Restore the original methods to avoid other tests from failing
+        sandbox.restore();
+        AWS.restore();
+
+        assert.deepEqual( JSON.parse( stdout ).map( description => description.id ), [ 'ABC123EDF456' ] );
+        assert.include( stderr, 'Couldn\'t get the CloudFront Distribution' );
+        assert.include( stderr, 'MISSING123: Failed: The specified distribution does not exist.' );
+    } );
 } );
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ConfigValidator = require('../../../src/lib/ConfigValidator');
+const CONFIG_SCHEMA   = require('../../../src/lib/ConfigSchema');
+
+describe('ConfigValidator', () => 
+{
+    it( 'Tests a valid configuration has no problems', async () => 
+    {
+        const configValidator = new ConfigValidator();
+
+        const config = {
+            distribution: { tag: { key: 'Stage', value: 'dev' } },
+            mode        : 'merge',
+            behaviors   : {
+                'foo/*': {
+                    cookies: 'all',
+                    lambdaAssociations: {
+                        viewerRequest: 'function1',
+                        originRequest: { function: 'function2', includeBody: true, version: 3 }
+                    }
+                },
+                DefaultCacheBehavior: {
+                    functionAssociations: { viewerResponse: 'rewrite-urls' }
+                }
+            },
+            functions        : { 'rewrite-urls': { source: 'edge/rewrite-urls.js' } },
+            invalidate       : 'auto',
+            waitForDeployment: { timeout: 600 },
+            snapshots        : true,
+            staging          : { weight: 0.05, sessionStickiness: { idleTTL: 300, maximumTTL: 600 } }
+        };
+
+        assert.deepEqual( configValidator.validate( config, CONFIG_SCHEMA ), [] );
+        assert.deepEqual( configValidator.validate( { distributionId: 'ABC123EDF456', behaviors: null }, CONFIG_SCHEMA ), [] );
+    } );
+
+    it( 'Tests every problem is reported with its path', async () => 
+    {
+        const configValidator = new ConfigValidator();
+
+        const config = {
+            distributionId: 'ABC123EDF456',
+            behaviours    : {},
+            behaviors     : {
+                'foo/*': {
+                    cookies: 'whitelist',
+                    lambdaAssociations: {
+                        viewerRequst : 'function1',
+                        originRequest: { includeBody: 'yes' }
+                    },
+                    removeLambdaAssociations: [ 'originResponse', 'originRespone' ],
+                    precedence: -1
+                },
+                DefaultCacheBehavior: {
+                    headers: 'Host'
+                }
+            },
+            distributions: [ { id: 'DEF456', distribution: {} } ],
+            retry        : { attempts: 0 },
+            staging      : { weight: 0.5 }
+        };
+
+        assert.deepEqual( configValidator.validate( config, CONFIG_SCHEMA ), [
+            'behaviours is not a valid setting',
+            "behaviors['foo/*'].cookies must be one of: all, none",
+            "behaviors['foo/*'].lambdaAssociations.viewerRequst is not a valid event type",
+            "behaviors['foo/*'].lambdaAssociations.originRequest.function is required",
+            "behaviors['foo/*'].lambdaAssociations.originRequest.includeBody must be a boolean",
+            "behaviors['foo/*'].removeLambdaAssociations[1] is not a valid event type",
+            "behaviors['foo/*'].precedence must be at least 0",
+            'behaviors.DefaultCacheBehavior.headers must be a list',
+            'distributions[0].behaviors is required',
+            'distributions[0].distribution must have at least 1 of: alias, tag, output, export',
+            'retry.attempts must be at least 1',
+            'staging.weight must be at most 0.15'
+        ] );
+    } );
+} );
@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const DistributionDiff = require('../../../src/lib/DistributionDiff');
+
+describe('DistributionDiff', () => 
+{
+    it( 'Tests no changes are reported for equal configurations', async () => 
+    {
+        const distributionDiff = new DistributionDiff();
+        const distribution     = require('../../fixtures/cloudfront_distribution_data.json');
+
+        const currentConfig  = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+        const proposedConfig = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+
+        const changes = distributionDiff.diffDistributionConfig( currentConfig, proposedConfig );
+
+        assert.equal( changes.length, 0 );
+        assert.equal( distributionDiff.formatDiff( changes ), 'No changes.' );
+    } );
+
+    it( 'Tests the lambda associations and cookies changes are reported per behavior', async () => 
+    {
+        const distributionDiff = new DistributionDiff();
+        const distribution     = require('../../fixtures/cloudfront_distribution_data.json');
+
+        const currentConfig  = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+        let proposedConfig   = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+
+        proposedConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+            Quantity: 1,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:2',
+                EventType        : 'viewer-request'
+            } ]
+        };
+        proposedConfig.CacheBehaviors.Items[0].ForwardedValues.Cookies = {
+            Forward: 'whitelist',
+            WhitelistedNames: {
+                Quantity: 1,
+                Items   : [ 'chocolate-cookie' ]
+            }
+        };
+
+        const changes = distributionDiff.diffDistributionConfig( currentConfig, proposedConfig );
+
+        assert.equal( changes.length, 1 );
+        assert.equal( changes[0].name, 'behavior /pages_contents/*' );
+
+        const paths = changes[0].changes.map( change => change.path );
+        assert.include( paths, 'LambdaFunctionAssociations.Quantity' );
+        assert.include( paths, 'LambdaFunctionAssociations.Items[viewer-request]' );
+        assert.include( paths, 'ForwardedValues.Cookies.Forward' );
+        assert.include( paths, 'ForwardedValues.Cookies.WhitelistedNames' );
+
+        const output = distributionDiff.formatDiff( changes );
+        assert.include( output, '~ behavior /pages_contents/*' );
+        assert.include( output, 'ForwardedValues.Cookies.Forward: none -> whitelist' );
+    } );
+
+    it( 'Tests the added values of a list are reported one by one', async () => 
+    {
+        const distributionDiff = new DistributionDiff();
+
+        let changes = [];
+        distributionDiff.diffValues( { Items: [ 'Host', 'Origin' ] }, { Items: [ 'Host', 'CloudFront-Viewer-Country' ] }, '', changes );
+
+        assert.deepEqual( changes, [ { path: 'Items', added: [ 'CloudFront-Viewer-Country' ], removed: [ 'Origin' ] } ] );
+    } );
+
+    it( 'Tests the new, removed and reordered behaviors are reported', async () => 
+    {
+        const distributionDiff = new DistributionDiff();
+        const distribution     = require('../../fixtures/cloudfront_distribution_data.json');
+
+        let currentConfig  = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+        let proposedConfig = JSON.parse( JSON.stringify( distribution.Distribution.DistributionConfig ) );
+
+        currentConfig.CacheBehaviors.Items.push( Object.assign( {}, currentConfig.CacheBehaviors.Items[0], { PathPattern: '/old/*' } ) );
+        proposedConfig.CacheBehaviors.Items.reverse();
+        proposedConfig.CacheBehaviors.Items.splice( 1, 0, Object.assign( {}, proposedConfig.CacheBehaviors.Items[0], 
+            { PathPattern: '/api/*' } ) );
+
+        const output = distributionDiff.formatDiff( distributionDiff.diffDistributionConfig( currentConfig, proposedConfig ) );
+
+        assert.include( output, '+ behavior /api/* (new, precedence 1)' );
+        assert.include( output, '- behavior /old/* (removed)' );
+        assert.include( output, '~ CacheBehaviors order' );
+        assert.include( output, 'PathPattern: ["/pages_contents/*","*special-route/*"] -> ["*special-route/*","/pages_contents/*"]' );
+    } );
+} );
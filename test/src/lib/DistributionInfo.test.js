@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const CloudfrontConnector = require('../../../src/lib/connectors/CloudfrontConnector');
+const DistributionInfo    = require('../../../src/lib/DistributionInfo');
+
+describe('DistributionInfo', () => 
+{
+    const getDistributionConfig = () =>
+    {
+        let distributionConfig = JSON.parse( JSON.stringify( 
+            require('../../fixtures/cloudfront_distribution_data.json').Distribution.DistributionConfig ) );
+
+        distributionConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+            Quantity: 2,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:my-service-dev-auth:7',
+                EventType        : 'viewer-request',
+                IncludeBody      : false
+            }, {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+                EventType        : 'origin-response',
+                IncludeBody      : false
+            } ]
+        };
+
+        return distributionConfig;
+    };
+
+    it( 'Tests the behaviors and their functions are described and the configured ones are marked', async () => 
+    {
+        const distributionInfo = new DistributionInfo( new CloudfrontConnector(), { auth: 'my-service-dev-auth' } );
+
+        const description = distributionInfo.describeDistribution( 'ABC123EDF456', getDistributionConfig(), {
+            '/pages_contents/*': { lambdaAssociations: { viewerRequest: 'auth' } }
+        } );
+
+        assert.equal( description.id, 'ABC123EDF456' );
+        assert.deepEqual( description.behaviors.map( behavior => behavior.pathPattern ), 
+            [ 'DefaultCacheBehavior', '/pages_contents/*', '*special-route/*' ] );
+
+        const behavior = description.behaviors[1];
+        assert.equal( behavior.origin, 'S3-assets' );
+        assert.equal( behavior.configured, true );
+        assert.equal( behavior.cookies, 'none' );
+        assert.deepEqual( behavior.headers, [ 'Access-Control-Request-Headers', 'Access-Control-Request-Method', 'Origin' ] );
+        assert.deepEqual( behavior.lambdaAssociations, [ {
+            eventType   : 'viewerRequest',
+            functionName: 'auth',
+            version     : '7',
+            arn         : 'arn:aws:lambda:us-east-1:123456789012:function:my-service-dev-auth:7',
+            includeBody : false,
+            configured  : true
+        }, {
+            eventType   : 'originResponse',
+            functionName: 'OtherTeamFunction',
+            version     : '3',
+            arn         : 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+            includeBody : false,
+            configured  : false
+        } ] );
+
+        assert.equal( description.behaviors[2].configured, false );
+    } );
+
+    it( 'Tests the description is formatted as a table', async () => 
+    {
+        const distributionInfo = new DistributionInfo( new CloudfrontConnector(), { auth: 'my-service-dev-auth' } );
+
+        const description = distributionInfo.describeDistribution( 'ABC123EDF456', getDistributionConfig(), {
+            '/pages_contents/*': { lambdaAssociations: { viewerRequest: 'auth' } }
+        } );
+
+        const lines = distributionInfo.formatTable( [ description ] ).split( '\n' );
+
+        assert.equal( lines[0], 'Distribution ABC123EDF456' );
+        assert.match( lines[2], /^Path\s+Origin\s+Cookies\s+Headers\s+Query strings\s+Event\s+Function\s+Version$/ );
+        assert.match( lines[5], /^\/pages_contents\/\* \*\s+S3-assets\s+none\s+.*Origin\s+none\s+viewerRequest \*\s+auth\s+7$/ );
+        assert.match( lines[6], /^\s+originResponse\s+OtherTeamFunction\s+3$/ );
+        assert.equal( lines.pop(), '* configured by this service' );
+    } );
+} );
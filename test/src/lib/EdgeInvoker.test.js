@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const EdgeInvoker = require('../../../src/lib/EdgeInvoker');
+
+describe('EdgeInvoker', () =>
+{
+    const getDistribution = () =>
+    {
+        let distribution = JSON.parse( JSON.stringify( require('../../fixtures/cloudfront_distribution_data.json').Distribution ) );
+
+        distribution.DistributionConfig.CacheBehaviors.Items[0].ForwardedValues.Cookies = {
+            Forward         : 'whitelist',
+            WhitelistedNames: { Quantity: 1, Items: [ 'session*' ] }
+        };
+
+        return distribution;
+    };
+
+    it( 'Tests the behavior is found by precedence and the origin only gets the forwarded values', () =>
+    {
+        const edgeInvoker = new EdgeInvoker( getDistribution() );
+
+        assert.equal( edgeInvoker.findCacheBehavior( '/pages_contents/about.html' ).PathPattern, '/pages_contents/*' );
+        assert.equal( edgeInvoker.findCacheBehavior( '/api/special-route/users' ).PathPattern, '*special-route/*' );
+        assert.isUndefined( edgeInvoker.findCacheBehavior( '/index.html' ).PathPattern );
+
+        const viewerRequest = edgeInvoker.createViewerRequest( 'post', '/pages_contents/about.html?lang=en', {
+            origin: 'https://www.test.com',
+            cookie: 'session_id=1; theme=dark'
+        }, 'name=test' );
+
+        assert.equal( viewerRequest.method, 'POST' );
+        assert.equal( viewerRequest.querystring, 'lang=en' );
+        assert.deepEqual( viewerRequest.headers.host, [ { key: 'Host', value: 'www.test.com' } ] );
+        assert.equal( Buffer.from( viewerRequest.body.data, 'base64' ).toString(), 'name=test' );
+
+        const cacheBehavior = edgeInvoker.findCacheBehavior( viewerRequest.uri );
+        const originRequest = edgeInvoker.createOriginRequest( viewerRequest, cacheBehavior );
+
+        assert.equal( originRequest.querystring, '' );
+        assert.deepEqual( Object.keys( originRequest.headers ).sort(),
+            [ 'cookie', 'host', 'origin', 'user-agent', 'via', 'x-forwarded-for' ] );
+        assert.equal( originRequest.headers.cookie[0].value, 'session_id=1' );
+        assert.equal( originRequest.headers.host[0].value, 'assets.s3.amazonaws.com' );
+        assert.equal( originRequest.headers[ 'user-agent' ][0].value, 'Amazon CloudFront' );
+        assert.deepEqual( originRequest.origin.s3, {
+            authMethod   : 'none',
+            customHeaders: {},
+            domainName   : 'assets.s3.amazonaws.com',
+            path         : '/assets'
+        } );
+    } );
+
+    it( 'Tests the body is only sent to the functions that include it', () =>
+    {
+        const edgeInvoker   = new EdgeInvoker( getDistribution() );
+        const viewerRequest = edgeInvoker.createViewerRequest( 'POST', '/form', {}, 'name=test' );
+
+        const withBody    = edgeInvoker.createEvent( 'viewerRequest', viewerRequest, undefined, true ).Records[0].cf;
+        const withoutBody = edgeInvoker.createEvent( 'viewerRequest', viewerRequest, undefined, false ).Records[0].cf;
+
+        assert.equal( withBody.config.eventType, 'viewer-request' );
+        assert.equal( withBody.config.distributionId, 'ABC123EDF456' );
+        assert.equal( withBody.request.body.action, 'read-only' );
+        assert.notProperty( withoutBody.request, 'body' );
+        assert.notProperty( withoutBody, 'response' );
+    } );
+
+    it( 'Tests the chain passes each result to the next event and stops at a generated response', async () =>
+    {
+        const edgeInvoker   = new EdgeInvoker( getDistribution() );
+        const viewerRequest = edgeInvoker.createViewerRequest( 'GET', '/pages_contents/', {} );
+        const cacheBehavior = edgeInvoker.findCacheBehavior( viewerRequest.uri );
+
+        let functions = {
+            viewerRequest: {
+                handler: async event => Object.assign( event.Records[0].cf.request, { uri: '/pages_contents/index.html' } )
+            },
+            originRequest: {
+                handler: ( event, context, callback ) => callback( null, event.Records[0].cf.request )
+            },
+            viewerResponse: {
+                handler: async event => event.Records[0].cf.response
+            }
+        };
+
+        const eventTypes = edgeInvoker.getEventTypes( 'viewerRequest', true );
+        let results      = await edgeInvoker.run( functions, eventTypes, viewerRequest, cacheBehavior );
+
+        assert.deepEqual( results.map( result => result.eventType ), [ 'viewerRequest', 'originRequest', 'viewerResponse' ] );
+        assert.equal( results[1].result.uri, '/pages_contents/index.html' );
+        assert.property( results[1].result, 'origin' );
+        assert.equal( results[2].result.status, '200' );
+        assert( results.every( result => result.errors.length == 0 ) );
+
+        // A redirect from the viewer request never reaches the origin
+        functions.viewerRequest.handler = async () => ( {
+            status : '302',
+            headers: { location: [ { key: 'Location', value: 'https://www.test.com/' } ] }
+        } );
+
+        results = await edgeInvoker.run( functions, eventTypes, viewerRequest, cacheBehavior );
+
+        assert.deepEqual( results.map( result => result.eventType ), [ 'viewerRequest' ] );
+
+        // A handler that never calls back fails after the timeout of its event type
+        const event = { Records: [ { cf: { config: { eventType: 'viewer-request', requestId: 'local' } } } ] };
+
+        try {
+            await edgeInvoker.invokeHandler( () => {}, event, 10 );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'The viewer-request function didn\'t finish within its timeout of 10 ms.' );
+        }
+
+        try {
+            edgeInvoker.getEventTypes( 'viewer-request', true );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'viewer-request is not a valid event type' );
+        }
+    } );
+
+    it( 'Tests the results are checked against the limits of their event type', () =>
+    {
+        const edgeInvoker = new EdgeInvoker( getDistribution() );
+        const request     = edgeInvoker.createViewerRequest( 'GET', '/index.html', {} );
+
+        let changedRequest = JSON.parse( JSON.stringify( request ) );
+        changedRequest.headers.host = [ { key: 'Host', value: 'other.test.com' } ];
+        changedRequest.headers[ 'X-Custom' ] = [ { key: 'X-Custom', value: '1' } ];
+        changedRequest.headers[ 'x-edge-location' ] = [ { key: 'X-Edge-Location', value: 'MAD' } ];
+
+        assert.deepEqual( edgeInvoker.validateResult( 'viewerRequest', changedRequest, request ), [
+            'viewerRequest: the header X-Custom must be in lowercase',
+            'viewerRequest: the header x-edge-location can\'t be set by the function',
+            'viewerRequest: the header host is read-only'
+        ] );
+
+        const largeResponse = { status: '200', headers: {}, body: 'a'.repeat( 41 * 1024 ) };
+
+        assert.equal( edgeInvoker.validateResult( 'viewerRequest', largeResponse, request ).length, 1 );
+        assert.include( edgeInvoker.validateResult( 'viewerRequest', largeResponse, request )[0], 'over the limit of 40960' );
+        assert.deepEqual( edgeInvoker.validateResult( 'originRequest', largeResponse, request ), [] );
+
+        assert.deepEqual( edgeInvoker.validateResult( 'originResponse', { status: 'OK', headers: {} }, { headers: {} } ),
+            [ 'originResponse: OK is not a valid status code' ] );
+        assert.deepEqual( edgeInvoker.validateResult( 'viewerRequest', undefined, request ),
+            [ 'viewerRequest must return the request or a response' ] );
+    } );
+} );
@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const EdgeValidator = require('../../../src/lib/EdgeValidator');
+
+describe('EdgeValidator', () => 
+{
+    const provider = {
+        name  : 'aws',
+        region: 'us-east-1'
+    };
+
+    const lambdaVersion = {
+        FunctionArn: 'arn:aws:lambda:us-east-1:1234567890:function:my-awesome-function:2',
+        Version    : '2',
+        Runtime    : 'nodejs12.x',
+        MemorySize : 128,
+        Timeout    : 5
+    };
+
+    it( 'Tests a valid configuration has no problems', async () => 
+    {
+        const edgeValidator = new EdgeValidator();
+
+        const distributions = [ {
+            id       : 'ABC123EDF456',
+            behaviors: {
+                'foo/*': {
+                    lambdaAssociations  : { viewerRequest: 'my-awesome-function' },
+                    functionAssociations: { viewerResponse: 'rewrite-urls' }
+                }
+            }
+        } ];
+
+        const errors = edgeValidator.validate( distributions, { 'my-awesome-function': { handler: 'handler.run' } }, 
+            provider, { 'my-awesome-function': lambdaVersion }, [ 'rewrite-urls' ] );
+
+        assert.deepEqual( errors, [] );
+    } );
+
+    it( 'Tests every problem is reported', async () => 
+    {
+        const edgeValidator = new EdgeValidator();
+
+        const distributions = [ {
+            id       : 'ABC123EDF456',
+            behaviors: {
+                'foo/*': {
+                    lambdaAssociations: { 
+                        viewerRequst  : 'my-awesome-function',
+                        viewerResponse: 'my-heavy-function',
+                        originRequest : 'missing-function'
+                    },
+                    functionAssociations: { viewerRequest: 'missing-cloudfront-function' }
+                }
+            }
+        } ];
+
+        const functionDefinitions = {
+            'my-awesome-function': { handler: 'handler.run' },
+            'my-heavy-function'  : { handler: 'heavy.run', environment: { STAGE: 'dev' } }
+        };
+
+        const lambdaFunctions = {
+            'my-heavy-function': Object.assign( {}, lambdaVersion, {
+                FunctionArn: 'arn:aws:lambda:eu-west-1:1234567890:function:my-heavy-function:$LATEST',
+                Version    : '$LATEST',
+                Runtime    : 'java11',
+                MemorySize : 1024,
+                Timeout    : 10
+            } )
+        };
+
+        const errors = edgeValidator.validate( distributions, functionDefinitions, provider, lambdaFunctions, [] );
+
+        assert.deepEqual( errors, [
+            "ABC123EDF456 behaviors['foo/*'].lambdaAssociations.viewerRequst is not a valid event type",
+            "ABC123EDF456 behaviors['foo/*'].lambdaAssociations.originRequest: function 'missing-function' is not defined in this service",
+            "ABC123EDF456 behaviors['foo/*'].functionAssociations.viewerRequest: CloudFront Function 'missing-cloudfront-function' is not configured",
+            'my-heavy-function: environment variables are not supported by Lambda@Edge',
+            'my-heavy-function: Lambda@Edge functions must be deployed in us-east-1, not eu-west-1',
+            'my-heavy-function: runtime java11 is not supported by Lambda@Edge',
+            'my-heavy-function: memory size 1024 MB is above the 128 MB limit for viewerResponse',
+            'my-heavy-function: timeout 10s is above the 5s limit for viewerResponse',
+            'my-heavy-function: resolves to $LATEST, Lambda@Edge requires a numbered version'
+        ] );
+    } );
+
+    it( 'Tests the function definition is checked when the version is not resolved', async () => 
+    {
+        const edgeValidator = new EdgeValidator();
+
+        const errors = edgeValidator.validateFunction( 'my-awesome-function', [ 'originRequest' ], 
+            { handler: 'handler.run', timeout: 60, vpc: { subnetIds: [ 'subnet-123' ] } }, provider, undefined );
+
+        assert.deepEqual( errors, [
+            'my-awesome-function: VPC configuration is not supported by Lambda@Edge',
+            'my-awesome-function: timeout 60s is above the 30s limit for originRequest'
+        ] );
+    } );
+
+    it( 'Tests the pinned versions are checked on their own', async () => 
+    {
+        const edgeValidator = new EdgeValidator();
+
+        const distributions = [ {
+            id       : 'ABC123EDF456',
+            behaviors: {
+                'foo/*': {
+                    lambdaAssociations: { 
+                        viewerRequest : { function: 'my-awesome-function', includeBody: true },
+                        originRequest : { function: 'my-awesome-function', alias: 'old', version: 1 },
+                        originResponse: { function: 'my-awesome-function', version: 1, includeBody: true }
+                    }
+                }
+            }
+        } ];
+
+        const lambdaFunctions = {
+            'my-awesome-function'  : lambdaVersion,
+            'my-awesome-function:1': Object.assign( {}, lambdaVersion, { Runtime: 'java8' } )
+        };
+
+        const errors = edgeValidator.validate( distributions, { 'my-awesome-function': { handler: 'handler.run' } }, 
+            provider, lambdaFunctions, [] );
+
+        assert.deepEqual( errors, [
+            "ABC123EDF456 behaviors['foo/*'].lambdaAssociations.originRequest: can't be pinned to a version and an alias at the same time",
+            "ABC123EDF456 behaviors['foo/*'].lambdaAssociations.originResponse: the body can only be included in viewerRequest, originRequest",
+            'my-awesome-function:1: runtime java8 is not supported by Lambda@Edge'
+        ] );
+    } );
+} );
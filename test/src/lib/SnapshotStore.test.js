@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const SnapshotStore = require('../../../src/lib/SnapshotStore');
+
+describe('SnapshotStore', () => 
+{
+    // In-memory replacement of the S3 connector
+    function createS3ConnectorMock()
+    {
+        let objects = {};
+
+        return {
+            objects,
+            putJsonObject: async ( bucket, key, content ) => { objects[ `${bucket}/${key}` ] = content; },
+            getJsonObject: async ( bucket, key ) => objects[ `${bucket}/${key}` ],
+            listKeys     : async ( bucket, prefix ) => Object.keys( objects )
+                .filter( key => key.startsWith( `${bucket}/${prefix}` ) )
+                .map( key => key.substring( bucket.length + 1 ) )
+        };
+    }
+
+    it( 'Tests a snapshot is saved under the distribution prefix', async () => 
+    {
+        const s3ConnectorMock = createS3ConnectorMock();
+        const snapshotStore   = new SnapshotStore( s3ConnectorMock, 'my-bucket', 'serverless/my-service/dev/cloudfront-snapshots' );
+
+        const timestamp = await snapshotStore.save( 'ABC123EDF456', { behaviors: {} } );
+
+        assert.notInclude( timestamp, ':' );
+
+        const key = `my-bucket/serverless/my-service/dev/cloudfront-snapshots/ABC123EDF456/${timestamp}.json`;
+        assert.deepEqual( s3ConnectorMock.objects[ key ], { distributionId: 'ABC123EDF456', timestamp, behaviors: {} } );
+    } );
+
+    it( 'Tests the newest snapshot or the one matching the timestamp is loaded', async () => 
+    {
+        const s3ConnectorMock = createS3ConnectorMock();
+        const snapshotStore   = new SnapshotStore( s3ConnectorMock, 'my-bucket', 'snapshots' );
+
+        for ( let timestamp of [ '2020-02-01T10-00-00-000Z', '2020-03-01T10-00-00-000Z', '2020-02-15T10-00-00-000Z' ] )
+        {
+            await s3ConnectorMock.putJsonObject( 'my-bucket', snapshotStore.getKey( 'ABC123EDF456', timestamp ), { timestamp } );
+        }
+
+        assert.equal( ( await snapshotStore.load( 'ABC123EDF456' ) ).timestamp, '2020-03-01T10-00-00-000Z' );
+        assert.equal( ( await snapshotStore.load( 'ABC123EDF456', '2020-02' ) ).timestamp, '2020-02-15T10-00-00-000Z' );
+        assert.equal( ( await snapshotStore.load( 'ABC123EDF456', '2020-02-01T10:00' ) ).timestamp, '2020-02-01T10-00-00-000Z' );
+
+        try {
+            await snapshotStore.load( 'ABC123EDF456', '2019' );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'No snapshot found' );
+        }
+
+        assert.deepEqual( ( await snapshotStore.loadAll( 'ABC123EDF456' ) ).map( snapshot => snapshot.timestamp ), 
+            [ '2020-02-01T10-00-00-000Z', '2020-02-15T10-00-00-000Z', '2020-03-01T10-00-00-000Z' ] );
+        assert.deepEqual( await snapshotStore.loadAll( 'DEF789GHI012' ), [] );
+    } );
+} );
@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('chai').assert;
+const AWS    = require('aws-sdk-mock');
+
+const CloudformationConnector = require('../../../../src/lib/connectors/CloudformationConnector');
+
+describe('CloudformationConnector', () => 
+{
+    it( 'Tests the stack outputs are retrieved by their logical ID', async () => 
+    {
+        AWS.mock( 'CloudFormation', 'describeStacks', ( params, callback ) => 
+        {
+            assert.equal( params.StackName, 'my-awesome-service-dev' );
+            callback( null, { Stacks: [ { Outputs: [ 
+                { OutputKey: 'ServiceEndpoint', OutputValue: 'https://example.com' },
+                { OutputKey: 'Function1LambdaFunctionQualifiedArn', OutputValue: 'arn:aws:lambda:us-east-1:1234567890:function:function1:7' }
+            ] } ] } );
+        } );
+
+        const connector = new CloudformationConnector( { region: 'us-east-1' } );
+        const outputs   = await connector.getStackOutputs( 'my-awesome-service-dev' );
+
+        assert.deepEqual( outputs, {
+            ServiceEndpoint                    : 'https://example.com',
+            Function1LambdaFunctionQualifiedArn: 'arn:aws:lambda:us-east-1:1234567890:function:function1:7'
+        } );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the export values are found in all the pages', async () => 
+    {
+        AWS.mock( 'CloudFormation', 'listExports', ( params, callback ) => 
+        {
+            if ( !params.NextToken )
+            {
+                return callback( null, { Exports: [ { Name: 'other-export', Value: 'foo' } ], NextToken: 'page2' } );
+            }
+
+            callback( null, { Exports: [ { Name: 'infra-dev-DistributionId', Value: 'ABC123EDF456' } ] } );
+        } );
+
+        const connector = new CloudformationConnector( { region: 'us-east-1' } );
+
+        assert.equal( await connector.getExportValue( 'infra-dev-DistributionId' ), 'ABC123EDF456' );
+
+        try {
+            await connector.getExportValue( 'missing-export' );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, "The export missing-export doesn't exist" );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+} );
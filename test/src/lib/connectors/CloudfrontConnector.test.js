@@ -224,4 +224,876 @@ describe('CloudfrontConnector', () =>
         let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
             lambdaFunctions, behaviorsConfig );
     } );
+
+    it( 'Tests the associations of functions not being deployed are kept', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        let cacheBehavior = distribution.Distribution.DistributionConfig.CacheBehaviors.Items[0];
+        cacheBehavior.LambdaFunctionAssociations = {
+            Quantity: 1,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:ViewerRequestFunction:3',
+                EventType        : 'viewer-request'
+            } ]
+        };
+
+        const eventsToAssociate = {
+            viewerRequest: 'viewer-request-function',
+            originRequest: 'origin-request-function'
+        };
+
+        let lambdaFunctions = {
+            'origin-request-function': {
+                FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:OriginRequestFunction:7'
+            }
+        };
+
+        cacheBehavior = connector.setCacheBehaviorLambdaAssociations( cacheBehavior, eventsToAssociate, lambdaFunctions );
+
+        assert.equal( cacheBehavior.LambdaFunctionAssociations.Quantity, 2 );
+        assert.equal( cacheBehavior.LambdaFunctionAssociations.Items[0].LambdaFunctionARN, 
+            'arn:aws:lambda:us-east-1:123456789012:function:ViewerRequestFunction:3' );
+        assert.equal( cacheBehavior.LambdaFunctionAssociations.Items[1].LambdaFunctionARN, 
+            lambdaFunctions['origin-request-function'].FunctionArn );
+    } );
+
+    it( 'Tests the merge mode keeps the associations and cookies that are not configured', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        let cacheBehavior = distribution.Distribution.DistributionConfig.CacheBehaviors.Items[1];
+        cacheBehavior.LambdaFunctionAssociations = {
+            Quantity: 2,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+                EventType        : 'viewer-request'
+            }, {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+                EventType        : 'origin-response'
+            } ]
+        };
+        cacheBehavior.ForwardedValues.Cookies = {
+            Forward: 'whitelist',
+            WhitelistedNames: {
+                Quantity: 1,
+                Items   : [ 'other-team-cookie' ]
+            }
+        };
+
+        let lambdaFunctions = {
+            'my-awesome-function': {
+                FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:5'
+            }
+        };
+
+        const behaviorsConfig = {
+            '*special-route/*': {
+                mode: 'merge',
+                cookies: [ 'oatmeal_cookie', 'other-team-cookie' ],
+                lambdaAssociations: {
+                    originResponse: 'my-awesome-function',
+                    viewerResponse: 'my-awesome-function'
+                }
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            lambdaFunctions, behaviorsConfig );
+
+        const associations = newDistributionConfig.CacheBehaviors.Items[1].LambdaFunctionAssociations;
+        assert.equal( associations.Quantity, 3 );
+        assert.deepEqual( associations.Items.map( item => item.EventType ), [ 'viewer-request', 'viewer-response', 'origin-response' ] );
+        assert.equal( associations.Items[0].LambdaFunctionARN, 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3' );
+        assert.equal( associations.Items[2].LambdaFunctionARN, lambdaFunctions['my-awesome-function'].FunctionArn );
+
+        const cookies = newDistributionConfig.CacheBehaviors.Items[1].ForwardedValues.Cookies;
+        assert.deepEqual( cookies.WhitelistedNames.Items, [ 'other-team-cookie', 'oatmeal_cookie' ] );
+        assert.equal( cookies.WhitelistedNames.Quantity, 2 );
+    } );
+
+    it( 'Tests a single lambda association can be removed', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        distribution.Distribution.DistributionConfig.DefaultCacheBehavior.LambdaFunctionAssociations = {
+            Quantity: 2,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+                EventType        : 'viewer-request'
+            }, {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:OtherTeamFunction:3',
+                EventType        : 'origin-response'
+            } ]
+        };
+
+        const behaviorsConfig = {
+            DefaultCacheBehavior: {
+                removeLambdaAssociations: [ 'viewerRequest' ]
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig, 'merge' );
+
+        const associations = newDistributionConfig.DefaultCacheBehavior.LambdaFunctionAssociations;
+        assert.equal( associations.Quantity, 1 );
+        assert.equal( associations.Items[0].EventType, 'origin-response' );
+
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { DefaultCacheBehavior: { removeLambdaAssociations: [ 'viewerRequst' ] } } ) );
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig, 'append' ) );
+    } );
+
+    it( 'Tests the forwarded headers, query strings and cookies are configured', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const behaviorsConfig = {
+            '/pages_contents/*': {
+                cookies: 'all',
+                headers: [ 'Host', 'CloudFront-Viewer-Country' ],
+                queryString: true,
+                queryStringCacheKeys: [ 'page', 'lang' ]
+            },
+            '*special-route/*': {
+                mode: 'merge',
+                headers: [ 'CloudFront-Viewer-Country' ],
+                queryStringCacheKeys: [ 'lang' ]
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig );
+
+        const forwardedValues = newDistributionConfig.CacheBehaviors.Items[0].ForwardedValues;
+        assert.deepEqual( forwardedValues.Cookies, { Forward: 'all' } );
+        assert.deepEqual( forwardedValues.Headers, { Quantity: 2, Items: [ 'Host', 'CloudFront-Viewer-Country' ] } );
+        assert.equal( forwardedValues.QueryString, true );
+        assert.deepEqual( forwardedValues.QueryStringCacheKeys, { Quantity: 2, Items: [ 'page', 'lang' ] } );
+
+        const mergedValues = newDistributionConfig.CacheBehaviors.Items[1].ForwardedValues;
+        assert.deepEqual( mergedValues.Headers, { Quantity: 3, Items: [ 'Host', 'Origin', 'CloudFront-Viewer-Country' ] } );
+        assert.deepEqual( mergedValues.QueryStringCacheKeys, { Quantity: 2, Items: [ 'id', 'lang' ] } );
+
+        // Turning the query string off drops its cache keys
+        newDistributionConfig = connector.addNewConfigToDistribution( newDistributionConfig,
+            {}, { '*special-route/*': { queryString: false } } );
+
+        const disabledValues = newDistributionConfig.CacheBehaviors.Items[1].ForwardedValues;
+        assert.equal( disabledValues.QueryString, false );
+        assert.deepEqual( disabledValues.QueryStringCacheKeys, { Quantity: 0, Items: [] } );
+    } );
+
+    it( 'Tests invalid cookies and query string settings are rejected', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { '/pages_contents/*': { cookies: 'whitelist' } } ) );
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { '/pages_contents/*': { queryString: false, queryStringCacheKeys: [ 'page' ] } } ) );
+    } );
+
+    it( 'Tests the policy names are resolved to their IDs', async () => 
+    {
+        AWS.mock( 'CloudFront', 'listCachePolicies', ( params, callback ) => 
+        {
+            if ( !params.Marker )
+            {
+                return callback( null, { CachePolicyList: { NextMarker: 'page2', Items: [ {
+                    Type: 'managed',
+                    CachePolicy: { Id: '658327ea-f89d-4fab-a63d-7e88639e58f6', CachePolicyConfig: { Name: 'Managed-CachingOptimized' } }
+                } ] } } );
+            }
+
+            callback( null, { CachePolicyList: { Items: [ {
+                Type: 'custom',
+                CachePolicy: { Id: 'b2884449-e4de-46a7-ac36-70bc7f1ddd6d', CachePolicyConfig: { Name: 'my-cache-policy' } }
+            } ] } } );
+        } );
+
+        const connector = new CloudfrontConnector();
+
+        const behaviorsConfig = await connector.resolvePolicyIds( {
+            'foo/*': { cachePolicy: 'my-cache-policy' },
+            'bar/*': { cachePolicy: '658327ea-f89d-4fab-a63d-7e88639e58f6' }
+        } );
+
+        assert.equal( behaviorsConfig['foo/*'].cachePolicy, 'b2884449-e4de-46a7-ac36-70bc7f1ddd6d' );
+        assert.equal( behaviorsConfig['bar/*'].cachePolicy, '658327ea-f89d-4fab-a63d-7e88639e58f6' );
+
+        try {
+            await connector.resolvePolicyIds( { 'foo/*': { cachePolicy: 'missing-policy' } } );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'missing-policy' );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the cache policy replaces the legacy forwarded values', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const behaviorsConfig = {
+            '/pages_contents/*': {
+                cachePolicy          : '658327ea-f89d-4fab-a63d-7e88639e58f6',
+                originRequestPolicy  : '88a5eaf4-2fd4-4709-b370-b4c650ea3fcf',
+                responseHeadersPolicy: '67f7725c-6f97-4210-82d7-5512b31e9d03'
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig );
+
+        const cacheBehavior = newDistributionConfig.CacheBehaviors.Items[0];
+        assert.equal( cacheBehavior.CachePolicyId, '658327ea-f89d-4fab-a63d-7e88639e58f6' );
+        assert.equal( cacheBehavior.OriginRequestPolicyId, '88a5eaf4-2fd4-4709-b370-b4c650ea3fcf' );
+        assert.equal( cacheBehavior.ResponseHeadersPolicyId, '67f7725c-6f97-4210-82d7-5512b31e9d03' );
+        assert.notExists( cacheBehavior.ForwardedValues );
+        assert.notExists( cacheBehavior.DefaultTTL );
+
+        // The forwarded values can't be set anymore
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { '/pages_contents/*': { cookies: [ 'chocolate-cookie' ] } } ) );
+
+        // The origin request policy requires a cache policy
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { '*special-route/*': { originRequestPolicy: '88a5eaf4-2fd4-4709-b370-b4c650ea3fcf' } } ) );
+    } );
+
+    it( 'Tests a CloudFront Function is created and published', async () => 
+    {
+        let calls = [];
+
+        AWS.mock( 'CloudFront', 'describeFunction', ( params, callback ) => 
+        {
+            let err  = new Error( 'The function does not exist' );
+            err.code = 'NoSuchFunctionExists';
+            callback( err );
+        } );
+        AWS.mock( 'CloudFront', 'createFunction', ( params, callback ) => 
+        {
+            calls.push( 'createFunction' );
+            assert.equal( params.FunctionConfig.Runtime, 'cloudfront-js-1.0' );
+            callback( null, { ETag: 'ETAG1' } );
+        } );
+        AWS.mock( 'CloudFront', 'publishFunction', ( params, callback ) => 
+        {
+            calls.push( 'publishFunction' );
+            assert.equal( params.IfMatch, 'ETAG1' );
+            callback( null, { FunctionSummary: { Name: params.Name, FunctionMetadata: { 
+                FunctionARN: `arn:aws:cloudfront::123456789012:function/${params.Name}`,
+                Stage      : 'LIVE'
+            } } } );
+        } );
+
+        const connector = new CloudfrontConnector();
+        const summary   = await connector.deployFunction( 'rewrite-urls', Buffer.from( 'function handler( event ) {}' ), {} );
+
+        assert.deepEqual( calls, [ 'createFunction', 'publishFunction' ] );
+        assert.equal( summary.FunctionMetadata.FunctionARN, 'arn:aws:cloudfront::123456789012:function/rewrite-urls' );
+
+        try {
+            await connector.deployFunction( 'rewrite-urls', Buffer.from( '' ), { runtime: 'nodejs12.x' } );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'nodejs12.x' );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the CloudFront Function associations are configured and validated', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const cloudfrontFunctions = {
+            'rewrite-urls': {
+                FunctionARN: 'arn:aws:cloudfront::123456789012:function/rewrite-urls'
+            }
+        };
+        let lambdaFunctions = {
+            'my-awesome-function': {
+                FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:5'
+            }
+        };
+
+        const behaviorsConfig = {
+            '/pages_contents/*': {
+                functionAssociations: {
+                    viewerRequest: 'rewrite-urls'
+                },
+                lambdaAssociations: {
+                    viewerResponse: 'my-awesome-function'
+                }
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            lambdaFunctions, behaviorsConfig, undefined, cloudfrontFunctions );
+
+        assert.deepEqual( newDistributionConfig.CacheBehaviors.Items[0].FunctionAssociations, {
+            Quantity: 1,
+            Items   : [ { FunctionARN: cloudfrontFunctions['rewrite-urls'].FunctionARN, EventType: 'viewer-request' } ]
+        } );
+
+        // A Lambda function can't be added to the same event
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, lambdaFunctions, 
+            { '/pages_contents/*': { mode: 'merge', lambdaAssociations: { viewerRequest: 'my-awesome-function' } } }, 
+            undefined, cloudfrontFunctions ) );
+
+        // CloudFront Functions only run on viewer events
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, lambdaFunctions, 
+            { '*special-route/*': { functionAssociations: { originRequest: 'rewrite-urls' } } }, 
+            undefined, cloudfrontFunctions ) );
+    } );
+
+    it( 'Tests it waits until the distribution is deployed', async () => 
+    {
+        let statuses = [ 'InProgress', 'InProgress', 'Deployed' ];
+
+        AWS.mock( 'CloudFront', 'getDistribution', ( params, callback ) => 
+        {
+            callback( null, { Distribution: { Id: params.Id, Status: statuses.shift() } } );
+        } );
+
+        const connector    = new CloudfrontConnector();
+        const distribution = await connector.waitForDeployment( 'ABC123EDF456', 1000, 1 );
+
+        assert.equal( distribution.Distribution.Status, 'Deployed' );
+        assert.equal( statuses.length, 0 );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests it stops waiting for the distribution after the timeout', async () => 
+    {
+        AWS.mock( 'CloudFront', 'getDistribution', { Distribution: { Id: 'ABC123EDF456', Status: 'InProgress' } } );
+
+        const connector = new CloudfrontConnector();
+
+        try {
+            await connector.waitForDeployment( 'ABC123EDF456', 20, 5 );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'still InProgress' );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests an invalidation is created and waited for', async () => 
+    {
+        let statuses = [ 'InProgress', 'Completed' ];
+
+        AWS.mock( 'CloudFront', 'createInvalidation', ( params, callback ) => 
+        {
+            assert.deepEqual( params.InvalidationBatch.Paths, { Quantity: 1, Items: [ '/pages_contents/*' ] } );
+            callback( null, { Invalidation: { Id: 'I123ABC', Status: 'InProgress' } } );
+        } );
+        AWS.mock( 'CloudFront', 'getInvalidation', ( params, callback ) => 
+        {
+            callback( null, { Invalidation: { Id: params.Id, Status: statuses.shift() } } );
+        } );
+
+        const connector    = new CloudfrontConnector();
+        const invalidation = await connector.createInvalidation( 'ABC123EDF456', [ '/pages_contents/*' ] );
+
+        assert.equal( invalidation.Id, 'I123ABC' );
+
+        const completedInvalidation = await connector.waitForInvalidation( 'ABC123EDF456', invalidation.Id, 1000, 1 );
+        assert.equal( completedInvalidation.Status, 'Completed' );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests a snapshot of the associations is created and restored', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        let distributionConfig = distribution.Distribution.DistributionConfig;
+        distributionConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+            Quantity: 1,
+            Items   : [ {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:4',
+                EventType        : 'viewer-request'
+            } ]
+        };
+
+        const snapshot = JSON.parse( JSON.stringify( 
+            connector.createSnapshot( distributionConfig, [ '/pages_contents/*', 'DefaultCacheBehavior', 'missing/*' ] ) ) );
+
+        assert.deepEqual( Object.keys( snapshot.behaviors ), [ '/pages_contents/*', 'DefaultCacheBehavior' ] );
+
+        // Deploy a new version and a CloudFront Function
+        distributionConfig = connector.addNewConfigToDistribution( distributionConfig, {
+            'my-awesome-function': { FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:5' }
+        }, {
+            '/pages_contents/*': {
+                lambdaAssociations  : { viewerRequest: 'my-awesome-function' },
+                functionAssociations: { viewerResponse: 'rewrite-urls' }
+            }
+        }, undefined, {
+            'rewrite-urls': { FunctionARN: 'arn:aws:cloudfront::123456789012:function/rewrite-urls' }
+        } );
+
+        distributionConfig = connector.restoreSnapshot( distributionConfig, snapshot );
+
+        const cacheBehavior = distributionConfig.CacheBehaviors.Items[0];
+        assert.equal( cacheBehavior.LambdaFunctionAssociations.Items[0].LambdaFunctionARN, 
+            'arn:aws:lambda:us-east-1:123456789012:function:MyAwesomeFunction:4' );
+        assert.deepEqual( cacheBehavior.FunctionAssociations, { Quantity: 0, Items: [] } );
+    } );
+
+    it( 'Tests the update is applied again on the latest distribution after an ETag conflict', async () => 
+    {
+        let etags = [ 'ETAG1', 'ETAG2' ];
+        let updateCalls = [];
+
+        AWS.mock( 'CloudFront', 'getDistribution', ( params, callback ) => 
+        {
+            let distribution  = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+            distribution.ETag = etags.shift();
+            callback( null, distribution );
+        } );
+        AWS.mock( 'CloudFront', 'updateDistribution', ( params, callback ) => 
+        {
+            updateCalls.push( params.IfMatch );
+
+            if ( params.IfMatch === 'ETAG1' )
+            {
+                let err  = new Error( 'The request failed because it didn\'t meet the preconditions' );
+                err.code = 'PreconditionFailed';
+                return callback( err );
+            }
+
+            callback( null, { ETag: 'ETAG3', Distribution: { Id: params.Id, DistributionConfig: params.DistributionConfig } } );
+        } );
+
+        const connector = new CloudfrontConnector();
+
+        let appliedChanges = 0;
+        const updatedDistribution = await connector.updateDistributionWithRetry( 'ABC123EDF456', async distribution => 
+        {
+            appliedChanges++;
+            distribution.Distribution.DistributionConfig.Comment = 'Updated';
+        }, 3, 1 );
+
+        assert.equal( appliedChanges, 2 );
+        assert.deepEqual( updateCalls, [ 'ETAG1', 'ETAG2' ] );
+        assert.equal( updatedDistribution.Distribution.DistributionConfig.Comment, 'Updated' );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the update stops retrying after the attempts limit or on other errors', async () => 
+    {
+        let updateCalls = 0;
+
+        AWS.mock( 'CloudFront', 'getDistribution', require('../../../fixtures/cloudfront_distribution_data.json') );
+        AWS.mock( 'CloudFront', 'updateDistribution', ( params, callback ) => 
+        {
+            updateCalls++;
+
+            let err  = new Error( 'Rate exceeded' );
+            err.code = 'Throttling';
+            callback( err );
+        } );
+
+        const connector = new CloudfrontConnector();
+
+        try {
+            await connector.updateDistributionWithRetry( 'ABC123EDF456', async () => {}, 3, 1 );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.equal( err.code, 'Throttling' );
+            assert.equal( updateCalls, 3 );
+        }
+
+        try {
+            await connector.updateDistributionWithRetry( 'ABC123EDF456', async () => 
+            { 
+                throw new Error( 'Invalid configuration' ); 
+            }, 3, 1 );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.equal( err.message, 'Invalid configuration' );
+            assert.equal( updateCalls, 3 );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the behaviors can be matched by glob or regex and unmatched keys are reported', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const behaviorsConfig = {
+            '*special-route/*': {
+                cookies: [ 'special-cookie' ]
+            },
+            'all-routes': {
+                match: '*/*',
+                cookies: 'all'
+            },
+            'pages': {
+                match: { regex: '^/pages_' },
+                cookies: 'none'
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { 'all-routes': behaviorsConfig['all-routes'], '*special-route/*': behaviorsConfig['*special-route/*'] } );
+
+        // The exact path pattern wins over the match blocks
+        assert.deepEqual( newDistributionConfig.CacheBehaviors.Items[0].ForwardedValues.Cookies, { Forward: 'all' } );
+        assert.deepEqual( newDistributionConfig.CacheBehaviors.Items[1].ForwardedValues.Cookies, 
+            { Forward: 'whitelist', WhitelistedNames: { Quantity: 1, Items: [ 'special-cookie' ] } } );
+
+        // The first matching block applies, so the regex one doesn't match anything
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig ), /'pages' \(match regex \^\/pages_\)/ );
+
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { '/page_contents/*': { cookies: 'all' } } ), /'\/page_contents\/\*' \(did you mean '\/pages_contents\/\*'\?\)/ );
+        assert.throws( () => connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, { '/images/*': { cookies: 'all' } } ), /1 behavior\(s\) in the configuration don't match any cache behavior/ );
+    } );
+
+    it( 'Tests the cache behaviors are created, removed and reordered', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const behaviorsConfig = {
+            '/api/*': {
+                targetOriginId: 'S3-assets',
+                viewerProtocolPolicy: 'https-only',
+                allowedMethods: [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'POST', 'PATCH', 'DELETE' ],
+                defaultTTL: 0,
+                precedence: 0
+            },
+            '*special-route/*': {
+                remove: true
+            },
+            '/old-route/*': {
+                remove: true
+            }
+        };
+
+        let newDistributionConfig = connector.addNewConfigToDistribution( distribution.Distribution.DistributionConfig, 
+            {}, behaviorsConfig );
+
+        const cacheBehaviors = newDistributionConfig.CacheBehaviors;
+        assert.equal( cacheBehaviors.Quantity, 2 );
+        assert.deepEqual( cacheBehaviors.Items.map( behavior => behavior.PathPattern ), [ '/api/*', '/pages_contents/*' ] );
+
+        const newBehavior = cacheBehaviors.Items[0];
+        assert.equal( newBehavior.TargetOriginId, 'S3-assets' );
+        assert.equal( newBehavior.ViewerProtocolPolicy, 'https-only' );
+        assert.equal( newBehavior.AllowedMethods.Quantity, 7 );
+        assert.deepEqual( newBehavior.AllowedMethods.CachedMethods.Items, [ 'GET', 'HEAD' ] );
+        assert.equal( newBehavior.DefaultTTL, 0 );
+
+        // Applying the same configuration again doesn't change anything
+        const currentConfig = JSON.parse( JSON.stringify( newDistributionConfig ) );
+        assert.deepEqual( connector.addNewConfigToDistribution( newDistributionConfig, {}, behaviorsConfig ), currentConfig );
+
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { '/images/*': { targetOriginId: 'S3-images' } } ), /The origin 'S3-images'/ );
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { '/api/*': { allowedMethods: [ 'GET', 'POST' ] } } ), /not a valid combination of allowed methods/ );
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { '/api/*': { precedence: -1 } } ), /must be a number starting at 0/ );
+        assert.throws( () => connector.addNewConfigToDistribution( newDistributionConfig, 
+            {}, { DefaultCacheBehavior: { remove: true } } ) );
+    } );
+
+    it( 'Tests the associations can include the body and be pinned to a version', async () => 
+    {
+        const connector    = new CloudfrontConnector();
+        const distribution = JSON.parse( JSON.stringify( require('../../../fixtures/cloudfront_distribution_data.json') ) );
+
+        const eventsToAssociate = {
+            viewerRequest: 'auth-function',
+            originRequest: { function: 'auth-function', includeBody: true, version: 3 }
+        };
+
+        const lambdaFunctions = {
+            'auth-function': {
+                FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:AuthFunction:5'
+            },
+            'auth-function:3': {
+                FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:AuthFunction:3'
+            }
+        };
+
+        let cacheBehavior = distribution.Distribution.DistributionConfig.CacheBehaviors.Items[0];
+        cacheBehavior     = connector.setCacheBehaviorLambdaAssociations( cacheBehavior, eventsToAssociate, lambdaFunctions );
+
+        assert.deepEqual( cacheBehavior.LambdaFunctionAssociations.Items, [ {
+            LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:AuthFunction:5',
+            EventType        : 'viewer-request',
+            IncludeBody      : false
+        }, {
+            LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:AuthFunction:3',
+            EventType        : 'origin-request',
+            IncludeBody      : true
+        } ] );
+
+        assert.equal( connector.parseLambdaAssociation( { function: 'auth-function', alias: 'live' } ).versionKey, 
+            'auth-function:live' );
+        assert.throws( () => connector.parseLambdaAssociation( { function: 'auth-function', version: 3, alias: 'live' } ) );
+        assert.throws( () => connector.parseLambdaAssociation( { includeBody: true } ) );
+    } );
+
+    it( 'Tests a distribution is found by alias or tag, failing if there are none or several', async () => 
+    {
+        AWS.mock( 'CloudFront', 'listDistributions', ( params, callback ) => 
+        {
+            if ( !params.Marker )
+            {
+                return callback( null, { DistributionList: { NextMarker: 'page2', Items: [ {
+                    Id: 'ABC123', ARN: 'arn:aws:cloudfront::1234567890:distribution/ABC123', Aliases: { Quantity: 1, Items: [ 'www.example.com' ] }
+                } ] } } );
+            }
+
+            callback( null, { DistributionList: { Items: [ {
+                Id: 'DEF456', ARN: 'arn:aws:cloudfront::1234567890:distribution/DEF456', Aliases: { Quantity: 0 }
+            }, {
+                Id: 'GHI789', ARN: 'arn:aws:cloudfront::1234567890:distribution/GHI789', Aliases: { Quantity: 1, Items: [ 'dev.example.com' ] }
+            } ] } } );
+        } );
+        let tagRequests = 0;
+
+        AWS.mock( 'CloudFront', 'listTagsForResource', ( params, callback ) => 
+        {
+            const stage = params.Resource.endsWith( 'ABC123' ) ? 'prod' : 'dev';
+            tagRequests++;
+            callback( null, { Tags: { Items: [ { Key: 'Stage', Value: stage } ] } } );
+        } );
+
+        const connector = new CloudfrontConnector();
+
+        assert.equal( await connector.findDistributionIdByAlias( 'dev.example.com' ), 'GHI789' );
+        assert.equal( await connector.findDistributionIdByTag( 'Stage', 'prod' ), 'ABC123' );
+
+        try {
+            await connector.findDistributionIdByTag( 'Stage', 'dev' );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, '2 distributions found with the tag Stage=dev: DEF456, GHI789' );
+        }
+
+        // The tags of each distribution are only requested once
+        assert.equal( tagRequests, 3 );
+
+        try {
+            await connector.findDistributionIdByAlias( 'test.example.com' );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.include( err.message, 'No distribution found with the alias test.example.com' );
+        }
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests the Lambda ARNs associated with any behavior of any distribution are listed once', async () => 
+    {
+        const association = arn => ( { Quantity: 1, Items: [ { LambdaFunctionARN: arn, EventType: 'origin-request' } ] } );
+
+        AWS.mock( 'CloudFront', 'listDistributions', { DistributionList: { Items: [ {
+            Id                  : 'ABC123',
+            DefaultCacheBehavior: { LambdaFunctionAssociations: association( 'arn:aws:lambda:us-east-1:1234567890:function:edge:2' ) },
+            CacheBehaviors      : { Quantity: 1, Items: [ 
+                { LambdaFunctionAssociations: association( 'arn:aws:lambda:us-east-1:1234567890:function:edge:3' ) } 
+            ] }
+        }, {
+            Id                  : 'DEF456',
+            DefaultCacheBehavior: { LambdaFunctionAssociations: association( 'arn:aws:lambda:us-east-1:1234567890:function:edge:2' ) },
+            CacheBehaviors      : { Quantity: 0 }
+        } ] } } );
+
+        const arns = await new CloudfrontConnector().listAssociatedLambdaArns();
+
+        assert.deepEqual( arns, [
+            'arn:aws:lambda:us-east-1:1234567890:function:edge:2',
+            'arn:aws:lambda:us-east-1:1234567890:function:edge:3'
+        ] );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests a staging distribution is copied from the primary, found through its policy and promoted', async () => 
+    {
+        let updatedDistribution;
+        let promoteParams;
+
+        AWS.mock( 'CloudFront', 'getDistribution', ( params, callback ) => 
+        {
+            callback( null, {
+                ETag        : `${params.Id}-ETAG`,
+                Distribution: {
+                    Id                : params.Id,
+                    DistributionConfig: updatedDistribution ? updatedDistribution.DistributionConfig : JSON.parse( JSON.stringify( 
+                        require('../../../fixtures/cloudfront_distribution_data.json').Distribution.DistributionConfig ) )
+                }
+            } );
+        } );
+        AWS.mock( 'CloudFront', 'copyDistribution', ( params, callback ) => 
+        {
+            assert.equal( params.PrimaryDistributionId, 'ABC123' );
+            assert.isTrue( params.Staging );
+            assert.equal( params.IfMatch, 'ABC123-ETAG' );
+
+            callback( null, { Distribution: { Id: 'STG456', DomainName: 'dstaging.cloudfront.net' } } );
+        } );
+        AWS.mock( 'CloudFront', 'createContinuousDeploymentPolicy', ( params, callback ) => 
+        {
+            const policyConfig = params.ContinuousDeploymentPolicyConfig;
+
+            assert.deepEqual( policyConfig.StagingDistributionDnsNames.Items, [ 'dstaging.cloudfront.net' ] );
+            assert.isFalse( policyConfig.Enabled );
+
+            callback( null, { ContinuousDeploymentPolicy: { Id: 'POLICY1' } } );
+        } );
+        AWS.mock( 'CloudFront', 'updateDistribution', ( params, callback ) => 
+        {
+            updatedDistribution = params;
+            callback( null, {} );
+        } );
+        AWS.mock( 'CloudFront', 'getContinuousDeploymentPolicy', { ETag: 'POLICY-ETAG', ContinuousDeploymentPolicy: {
+            ContinuousDeploymentPolicyConfig: { StagingDistributionDnsNames: { Quantity: 1, Items: [ 'dstaging.cloudfront.net' ] } }
+        } } );
+        AWS.mock( 'CloudFront', 'listDistributions', { DistributionList: { Items: [
+            { Id: 'ABC123', DomainName: 'dprimary.cloudfront.net' },
+            { Id: 'STG456', DomainName: 'dstaging.cloudfront.net' }
+        ] } } );
+        AWS.mock( 'CloudFront', 'updateDistributionWithStagingConfig', ( params, callback ) => 
+        {
+            promoteParams = params;
+            callback( null, {} );
+        } );
+
+        const connector     = new CloudfrontConnector();
+        const trafficConfig = connector.getTrafficConfig( { weight: 0.1, sessionStickiness: { idleTTL: 600 } } );
+
+        assert.deepEqual( trafficConfig, { Type: 'SingleWeight', SingleWeightConfig: { 
+            Weight: 0.1, SessionStickinessConfig: { IdleTTL: 600, MaximumTTL: 600 } 
+        } } );
+
+        assert.deepEqual( await connector.createStagingDistribution( 'ABC123', trafficConfig ), { id: 'STG456', policyId: 'POLICY1' } );
+        assert.equal( updatedDistribution.Id, 'ABC123' );
+        assert.equal( updatedDistribution.DistributionConfig.ContinuousDeploymentPolicyId, 'POLICY1' );
+
+        const primaryDistribution = await connector.getDistribution( 'ABC123' );
+        assert.deepEqual( await connector.findStagingDistribution( primaryDistribution ), { id: 'STG456', policyId: 'POLICY1' } );
+
+        await connector.promoteStagingDistribution( 'ABC123', 'STG456' );
+        assert.deepEqual( promoteParams, { Id: 'ABC123', StagingDistributionId: 'STG456', IfMatch: 'ABC123-ETAG, STG456-ETAG' } );
+
+        assert.deepEqual( connector.getTrafficConfig( { header: { name: 'aws-cf-cd-staging', value: 'true' } } ), {
+            Type: 'SingleHeader', SingleHeaderConfig: { Header: 'aws-cf-cd-staging', Value: 'true' }
+        } );
+        assert.throws( () => connector.getTrafficConfig( { header: { name: 'x-staging', value: 'true' } } ), 'must start with aws-cf-cd-' );
+        assert.throws( () => connector.getTrafficConfig( {} ), 'needs either a weight or a header' );
+        assert.throws( () => connector.getTrafficConfig( { weight: 0.1, sessionStickiness: { idleTTL: 900, maximumTTL: 600 } } ), 
+            'can\'t be above the maximum one' );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests a staging copy left by a failed creation is reused and the policy is deleted if it can\'t be attached', async () => 
+    {
+        let deletedPolicy;
+
+        AWS.mock( 'CloudFront', 'listDistributions', { DistributionList: { Items: [
+            { Id: 'ABC123', DomainName: 'dprimary.cloudfront.net', Staging: false },
+            { Id: 'STG999', DomainName: 'dother.cloudfront.net', Staging: true },
+            { Id: 'STG456', DomainName: 'dstaging.cloudfront.net', Staging: true }
+        ] } } );
+        AWS.mock( 'CloudFront', 'getDistribution', ( params, callback ) => 
+        {
+            let distributionConfig = JSON.parse( JSON.stringify( 
+                require('../../../fixtures/cloudfront_distribution_data.json').Distribution.DistributionConfig ) );
+
+            if ( params.Id !== 'ABC123' )
+            {
+                distributionConfig.CallerReference = `${params.Id === 'STG999' ? 'OTHER' : 'ABC123'}-staging-1600000000000`;
+            }
+
+            callback( null, {
+                ETag        : `${params.Id}-ETAG`,
+                Distribution: {
+                    Id                : params.Id,
+                    DomainName        : params.Id === 'STG456' ? 'dstaging.cloudfront.net' : 'dother.cloudfront.net',
+                    DistributionConfig: distributionConfig
+                }
+            } );
+        } );
+        AWS.mock( 'CloudFront', 'copyDistribution', ( params, callback ) => 
+        {
+            assert.fail( 'The staging copy should be reused' );
+        } );
+        AWS.mock( 'CloudFront', 'createContinuousDeploymentPolicy', ( params, callback ) => 
+        {
+            assert.deepEqual( params.ContinuousDeploymentPolicyConfig.StagingDistributionDnsNames.Items, [ 'dstaging.cloudfront.net' ] );
+            callback( null, { ContinuousDeploymentPolicy: { Id: 'POLICY1' } } );
+        } );
+        AWS.mock( 'CloudFront', 'updateDistribution', ( params, callback ) => 
+        {
+            callback( { code: 'AccessDenied', message: 'Access denied' } );
+        } );
+        AWS.mock( 'CloudFront', 'getContinuousDeploymentPolicy', { ETag: 'POLICY-ETAG', ContinuousDeploymentPolicy: {} } );
+        AWS.mock( 'CloudFront', 'deleteContinuousDeploymentPolicy', ( params, callback ) => 
+        {
+            deletedPolicy = params;
+            callback( null, {} );
+        } );
+
+        const connector = new CloudfrontConnector();
+
+        try {
+            await connector.createStagingDistribution( 'ABC123', { Type: 'SingleWeight', SingleWeightConfig: { Weight: 0.1 } } );
+            assert.fail( 'This should have thrown an exception' );
+        }
+        catch( err ) {
+            assert.equal( err.message, 'Access denied' );
+        }
+
+        assert.deepEqual( deletedPolicy, { Id: 'POLICY1', IfMatch: 'POLICY-ETAG' } );
+
+        // Restores the context
+        AWS.restore();
+    } );
 } );
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('chai').assert;
+const AWS    = require('aws-sdk-mock');
+
+const S3Connector = require('../../../../src/lib/connectors/S3Connector');
+
+describe('S3Connector', () => 
+{
+    it( 'Tests a JSON object is stored and retrieved correctly', async () => 
+    {
+        let storedBody;
+
+        AWS.mock( 'S3', 'putObject', ( params, callback ) => 
+        {
+            storedBody = params.Body;
+            callback( null, { ETag: 'abc' } );
+        } );
+        AWS.mock( 'S3', 'getObject', ( params, callback ) => 
+        {
+            callback( null, { Body: Buffer.from( storedBody ) } );
+        } );
+
+        const connector = new S3Connector( { region: 'us-east-1' } );
+
+        await connector.putJsonObject( 'my-bucket', 'snapshots/1.json', { foo: 'bar' } );
+        const object = await connector.getJsonObject( 'my-bucket', 'snapshots/1.json' );
+
+        assert.deepEqual( object, { foo: 'bar' } );
+
+        // Restores the context
+        AWS.restore();
+    } );
+
+    it( 'Tests all the pages of keys are listed', async () => 
+    {
+        AWS.mock( 'S3', 'listObjectsV2', ( params, callback ) => 
+        {
+            if ( !params.ContinuationToken )
+            {
+                return callback( null, { IsTruncated: true, NextContinuationToken: 'page2', Contents: [ { Key: 'snapshots/1.json' } ] } );
+            }
+
+            callback( null, { IsTruncated: false, Contents: [ { Key: 'snapshots/2.json' } ] } );
+        } );
+
+        const connector = new S3Connector( { region: 'us-east-1' } );
+        const keys      = await connector.listKeys( 'my-bucket', 'snapshots/' );
+
+        assert.deepEqual( keys, [ 'snapshots/1.json', 'snapshots/2.json' ] );
+
+        // Restores the context
+        AWS.restore();
+    } );
+} );